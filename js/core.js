@@ -30,27 +30,70 @@ class RPGEngine {
       maxEntities: config.maxEntities || 1000,
       screenWidth: config.screenWidth || 800,
       screenHeight: config.screenHeight || 600,
+      headless: config.headless || false,
+      maxFrameTime: config.maxFrameTime || 0.25,
+      maxUpdatesPerFrame: config.maxUpdatesPerFrame || 10,
       ...config
     };
+    this.config.fixedTimestep = config.fixedTimestep || 1 / this.config.fps;
+    
+    // Timing - clock returns milliseconds, scheduler drives the frame callback
+    this.clock = config.clock || defaultClock;
+    this.scheduler = config.scheduler || defaultScheduler;
+    this.frameHandle = null;
+    this.accumulator = 0;
+    this.alpha = 0;
+    this.frameDelta = 0;
+    this.tickCount = 0;
     
     // Core systems
     this.entities = new Map();
     this.scenes = new Map();
+    this.sceneStack = [];
     this.currentScene = null;
-    this.eventBus = new EventBus();
-    this.inputManager = new InputManager();
-    this.audioManager = new AudioManager();
-    this.dataManager = new DataManager();
+    this.transition = null;
+    this.changingScene = false;
+    this.eventBus = new EventBus({ historySize: config.eventHistorySize });
+    this.dataManager = new DataManager(
+      config.storage || (this.config.headless ? new MemoryStorage() : undefined)
+    );
+    this.audioManager = new AudioManager({
+      silent: this.config.headless,
+      storage: this.dataManager.backend,
+      ...config.audio
+    });
+    this.inputManager = new InputManager({ eventBus: this.eventBus, storage: this.dataManager.backend });
+    this.rng = config.rng || new RandomGenerator(config.seed);
     
     // Game state
     this.gameState = {
       player: null,
       inventory: null,
       quests: [],
+      gold: 0,
       stats: {}
     };
     
-    this.lastFrameTime = Date.now();
+    this.assetLoader = new AssetLoader(this, config.assets);
+    this.collisionSystem = new CollisionSystem(this, { cellSize: config.collisionCellSize });
+    this.camera = new Camera({
+      width: this.config.screenWidth,
+      height: this.config.screenHeight,
+      pixelRatio: this.config.headless ? 1 : config.pixelRatio,
+      rng: this.rng.stream('camera'),
+      ...config.camera
+    });
+    this.audioManager.setListener(this.camera);
+    
+    // Optional on-screen controls; attach() them to the canvas
+    this.touchControls = config.touchControls ? 
+      new TouchControls(this.inputManager, { camera: this.camera, ...config.touchControls }) : 
+      null;
+    
+    this.questManager = new QuestManager(this);
+    this.saveManager = new SaveManager(this);
+    
+    this.lastFrameTime = this.clock();
   }
 
   /**
@@ -59,9 +102,11 @@ class RPGEngine {
   init() {
     console.log(`Initializing RPG Engine v${this.version}`);
     
-    this.inputManager.init();
+    this.inputManager.init(this.config.headless ? null : undefined);
+    this.inputManager.loadBindings();
     this.audioManager.init();
     this.dataManager.init();
+    this.questManager.init();
     this.eventBus.emit('engine:init');
     
     return true;
@@ -77,7 +122,8 @@ class RPGEngine {
     }
     
     this.isRunning = true;
-    this.lastFrameTime = Date.now();
+    this.lastFrameTime = this.clock();
+    this.accumulator = 0;
     this.eventBus.emit('engine:start');
     
     this.gameLoop();
@@ -88,56 +134,117 @@ class RPGEngine {
    */
   stop() {
     this.isRunning = false;
+    
+    if (this.frameHandle !== null) {
+      this.scheduler.cancel(this.frameHandle);
+      this.frameHandle = null;
+    }
+    
     this.eventBus.emit('engine:stop');
   }
 
   /**
-   * Main game loop
+   * Main game loop - accumulates real time and consumes it in fixed steps
    */
   gameLoop() {
     if (!this.isRunning) return;
     
-    const now = Date.now();
-    this.deltaTime = (now - this.lastFrameTime) / 1000;
+    const now = this.clock();
+    this.frameDelta = (now - this.lastFrameTime) / 1000;
     this.lastFrameTime = now;
     
-    // Cap deltaTime to prevent large jumps
-    if (this.deltaTime > 0.1) {
-      this.deltaTime = 0.1;
+    // Cap frame time to prevent the spiral of death after long stalls
+    if (this.frameDelta > this.config.maxFrameTime) {
+      this.frameDelta = this.config.maxFrameTime;
     }
     
+    const step = this.config.fixedTimestep;
+    
     if (!this.isPaused) {
-      this.update(this.deltaTime);
-      this.lateUpdate(this.deltaTime);
+      this.accumulator += this.frameDelta;
+      
+      let updates = 0;
+      while (this.accumulator >= step && updates < this.config.maxUpdatesPerFrame) {
+        this.fixedUpdate();
+        this.accumulator -= step;
+        updates++;
+      }
+      
+      // Drop whatever backlog is left rather than trying to catch up
+      if (this.accumulator >= step) {
+        this.accumulator = this.accumulator % step;
+      }
+    } else if (this.transition) {
+      // Ticks are stopped, but a scene change must still be able to finish
+      this.transition.update(this.frameDelta);
     }
     
-    this.render();
+    this.alpha = this.accumulator / step;
+    this.render(this.alpha);
     
     this.frameCount++;
-    this.gameTime += this.deltaTime;
     
-    requestAnimationFrame(() => this.gameLoop());
+    this.frameHandle = this.scheduler.request(() => this.gameLoop());
+  }
+
+  /**
+   * Run a single fixed-timestep simulation tick
+   */
+  fixedUpdate() {
+    const step = this.config.fixedTimestep;
+    
+    this.deltaTime = step;
+    this.update(step);
+    this.lateUpdate(step);
+    
+    this.gameTime += step;
+    this.tickCount++;
+  }
+
+  /**
+   * Advance the simulation synchronously by a number of fixed ticks.
+   * Used to drive the engine headlessly (tests, tools) without a scheduler.
+   */
+  step(ticks = 1) {
+    for (let i = 0; i < ticks; i++) {
+      this.fixedUpdate();
+    }
+    
+    this.alpha = 0;
+    if (!this.config.headless) {
+      this.render(this.alpha);
+    }
+    
+    return this.tickCount;
   }
 
   /**
    * Update game logic
    */
   update(delta) {
-    // Update input
+    // Update input - touch controls feed the input manager first
+    if (this.touchControls) {
+      this.touchControls.update(delta);
+    }
     this.inputManager.update();
     
-    // Update current scene
-    if (this.currentScene) {
-      this.currentScene.update(delta);
+    if (this.transition) {
+      this.transition.update(delta);
     }
     
-    // Update all entities
+    // Update the top scene and any beneath it that it lets keep running
+    this.getActiveScenes('updateBelow').forEach(scene => scene.update(delta));
+    
+    // Scene entities were updated by their scene; update the rest
     this.entities.forEach(entity => {
-      if (entity.active) {
+      if (entity.active && !entity.scene) {
         entity.update(delta);
       }
     });
     
+    // Resolve collisions after everything has moved
+    this.collisionSystem.update(delta);
+    
     this.eventBus.emit('engine:update', { delta, gameTime: this.gameTime });
   }
 
@@ -145,26 +252,54 @@ class RPGEngine {
    * Late update - runs after all updates
    */
   lateUpdate(delta) {
-    if (this.currentScene) {
-      this.currentScene.lateUpdate(delta);
-    }
+    this.getActiveScenes('updateBelow').forEach(scene => scene.lateUpdate(delta));
     
     this.entities.forEach(entity => {
-      if (entity.active && entity.lateUpdate) {
+      if (entity.active && entity.lateUpdate && !entity.scene) {
         entity.lateUpdate(delta);
       }
     });
+    
+    // Camera moves last so it sees final positions; positional sound follows it
+    this.camera.update(delta);
+    this.audioManager.update(delta);
   }
 
   /**
    * Render the game
+   * @param {number} alpha - Interpolation factor between the last two ticks (0-1)
+   */
+  render(alpha = this.alpha) {
+    this.getActiveScenes('renderBelow').forEach(scene => scene.render(alpha));
+    
+    this.eventBus.emit('engine:render', { alpha });
+  }
+
+  /**
+   * Draw the running scene transition over everything; call at the end of a frame
    */
-  render() {
-    if (this.currentScene) {
-      this.currentScene.render();
+  renderTransition(ctx) {
+    if (this.transition) {
+      const ratio = this.camera.pixelRatio;
+      this.transition.render(ctx, this.camera.width * ratio, this.camera.height * ratio);
     }
+  }
+
+  /**
+   * Scenes to run this frame, bottom first: the top of the stack plus those
+   * beneath it for as long as each scene's flag (updateBelow or renderBelow)
+   * lets the one under it through
+   */
+  getActiveScenes(flag) {
+    const scenes = [];
     
-    this.eventBus.emit('engine:render');
+    for (let i = this.sceneStack.length - 1; i >= 0; i--) {
+      const scene = this.sceneStack[i];
+      scenes.unshift(scene);
+      if (!scene[flag]) break;
+    }
+    
+    return scenes;
   }
 
   /**
@@ -193,25 +328,175 @@ class RPGEngine {
   }
 
   /**
-   * Load a scene
+   * Replace the whole scene stack with a scene.
+   * Scene changes return a Promise, not the boolean they once returned, so
+   * `if (engine.loadScene(name))` is always true: await the result instead.
+   * A change requested while another is still running (loading or behind a
+   * transition) is refused and resolves false.
+   * @param {Object} [options] - { transition: SceneTransition or its config }
+   * @returns {Promise<boolean>} Resolves once the scene has finished loading
+   */
+  loadScene(name, options = {}) {
+    const newScene = this.getSceneForChange(name, true);
+    if (!newScene) return Promise.resolve(false);
+    
+    return this.changeScenes(options.transition, async () => {
+      // Hold the outgoing scenes' assets until the new scene has referenced its
+      // own, so assets both use are not unloaded and fetched again
+      const heldAssets = [];
+      this.sceneStack.forEach(scene => {
+        if (scene.assets) {
+          heldAssets.push(...this.assetLoader.retainManifest(scene.assets));
+        }
+      });
+      
+      while (this.sceneStack.length > 0) {
+        this.sceneStack.pop().unload();
+      }
+      
+      this.sceneStack.push(newScene);
+      this.currentScene = newScene;
+      this.camera.setBounds(newScene.map ? newScene.map.getBounds() : null);
+      
+      await this.enterScene(newScene);
+      heldAssets.forEach(key => this.assetLoader.release(key));
+      this.eventBus.emit('engine:sceneLoaded', { sceneName: name });
+      
+      return true;
+    });
+  }
+
+  /**
+   * Open a scene on top of the current one (pause menu, inventory, battle).
+   * The covered scene is paused, not unloaded, and picks up where it left off
+   * when this one is popped.
+   * @returns {Promise<boolean>}
+   */
+  pushScene(name, options = {}) {
+    const scene = this.getSceneForChange(name);
+    if (!scene) return Promise.resolve(false);
+    
+    return this.changeScenes(options.transition, async () => {
+      if (this.currentScene) {
+        this.currentScene.pause();
+      }
+      
+      this.sceneStack.push(scene);
+      this.currentScene = scene;
+      if (scene.map) {
+        this.camera.setBounds(scene.map.getBounds());
+      }
+      this.eventBus.emit('engine:scenePushed', { sceneName: name });
+      
+      await this.enterScene(scene);
+      return true;
+    });
+  }
+
+  /**
+   * Close the top scene and resume the one beneath it
+   * @returns {Promise<boolean>}
+   */
+  popScene(options = {}) {
+    if (this.sceneStack.length < 2) {
+      console.warn('No scene to pop back to');
+      return Promise.resolve(false);
+    }
+    if (this.changingScene) {
+      console.warn('A scene change is already in progress');
+      return Promise.resolve(false);
+    }
+    
+    return this.changeScenes(options.transition, () => {
+      const scene = this.sceneStack.pop();
+      scene.unload();
+      
+      const resumed = this.sceneStack[this.sceneStack.length - 1];
+      this.currentScene = resumed;
+      if (resumed.map) {
+        this.camera.setBounds(resumed.map.getBounds());
+      }
+      resumed.resume();
+      this.playSceneMusic(resumed);
+      
+      this.eventBus.emit('engine:scenePopped', { sceneName: scene.name, resumed: resumed.name });
+      return true;
+    });
+  }
+
+  /**
+   * The bottom of the scene stack - the world under any overlays
+   */
+  getBaseScene() {
+    return this.sceneStack.length > 0 ? this.sceneStack[0] : null;
+  }
+
+  /**
+   * The named scene if it can go on the stack now. Only loadScene() may pick
+   * the base scene again, since it replaces the whole stack.
    */
-  loadScene(name) {
+  getSceneForChange(name, allowBase = false) {
     if (!this.scenes.has(name)) {
       console.error(`Scene '${name}' not found`);
-      return false;
+      return null;
+    }
+    if (this.changingScene) {
+      console.warn('A scene change is already in progress');
+      return null;
     }
     
-    const newScene = this.scenes.get(name);
-    
-    if (this.currentScene) {
-      this.currentScene.unload();
+    const scene = this.scenes.get(name);
+    if (this.sceneStack.includes(scene) && !(allowBase && scene === this.sceneStack[0])) {
+      console.warn(`Scene '${name}' is already on the stack`);
+      return null;
     }
     
-    this.currentScene = newScene;
-    this.currentScene.load();
-    this.eventBus.emit('engine:sceneLoaded', { sceneName: name });
+    return scene;
+  }
+
+  /**
+   * Run a stack change, behind a transition if one is given. The screen stays
+   * covered until the change (including the new scene's loading) finishes.
+   * Without a transition the stack changes before this returns.
+   */
+  async changeScenes(transitionConfig, change) {
+    this.changingScene = true;
     
-    return true;
+    try {
+      if (!transitionConfig) {
+        return await change();
+      }
+      
+      const transition = transitionConfig instanceof SceneTransition ? 
+        transitionConfig : 
+        new SceneTransition(transitionConfig);
+      this.transition = transition;
+      
+      await transition.cover();
+      const result = await change();
+      await transition.reveal();
+      return result;
+    } finally {
+      this.transition = null;
+      this.changingScene = false;
+    }
+  }
+
+  /**
+   * Load a scene that was just placed on the stack and start its music
+   */
+  async enterScene(scene) {
+    await scene.load();
+    
+    if (this.sceneStack.includes(scene)) {
+      this.playSceneMusic(scene);
+    }
+  }
+
+  playSceneMusic(scene) {
+    if (scene.music) {
+      this.audioManager.playMusic(scene.music, { fadeTime: scene.musicFadeTime });
+    }
   }
 
   /**
@@ -251,14 +536,151 @@ class RPGEngine {
     return this.entities.get(entityId);
   }
 
+  /**
+   * Replace the engine's random generator (e.g. with a scripted one in tests)
+   */
+  setRNG(rng) {
+    this.rng = rng;
+    return rng;
+  }
+
   /**
    * Get the current FPS
    */
   getFPS() {
-    return Math.round(1 / this.deltaTime);
+    return this.frameDelta > 0 ? Math.round(1 / this.frameDelta) : 0;
+  }
+}
+
+// ============================================================================
+// TIMING DEFAULTS
+// ============================================================================
+
+// Millisecond clock; falls back to Date.now() where performance is unavailable
+const defaultClock = () => (
+  typeof performance !== 'undefined' ? performance.now() : Date.now()
+);
+
+// Frame scheduler; uses requestAnimationFrame in browsers and timers elsewhere
+const defaultScheduler = {
+  request(callback) {
+    if (typeof requestAnimationFrame !== 'undefined') {
+      return requestAnimationFrame(callback);
+    }
+    return setTimeout(callback, 1000 / 60);
+  },
+
+  cancel(handle) {
+    if (typeof cancelAnimationFrame !== 'undefined') {
+      cancelAnimationFrame(handle);
+    } else {
+      clearTimeout(handle);
+    }
+  }
+};
+
+// ============================================================================
+// RANDOM NUMBER GENERATION
+// ============================================================================
+
+/**
+ * Seedable PRNG (mulberry32). Named streams are forked from the root seed so
+ * that one system drawing more numbers never shifts another system's rolls.
+ */
+class RandomGenerator {
+  constructor(seed = Date.now()) {
+    this.seed = RandomGenerator.hashSeed(seed);
+    this.state = this.seed;
+    this.streams = new Map();
+  }
+
+  static hashSeed(seed) {
+    // Numeric strings map to the same seed as the number so seeds survive URLs
+    if (typeof seed === 'number' || /^\d+$/.test(seed)) {
+      return Number(seed) >>> 0;
+    }
+    
+    // FNV-1a over the string form
+    const str = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    
+    return hash >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  pick(array) {
+    return array.length > 0 ? array[Math.floor(this.next() * array.length)] : undefined;
+  }
+
+  /**
+   * Create an independent generator derived from this one's seed
+   */
+  fork(name) {
+    return new RandomGenerator(RandomGenerator.hashSeed(`${this.seed}:${name}`));
+  }
+
+  /**
+   * Get (or lazily fork) a named stream, e.g. 'combat' or 'ai'
+   */
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, this.fork(name));
+    }
+    
+    return this.streams.get(name);
+  }
+
+  getState() {
+    const streams = {};
+    this.streams.forEach((stream, name) => {
+      streams[name] = stream.getState();
+    });
+    
+    return { seed: this.seed, state: this.state, streams };
+  }
+
+  setState(snapshot) {
+    this.seed = snapshot.seed >>> 0;
+    this.state = snapshot.state >>> 0;
+    this.streams = new Map();
+    
+    Object.keys(snapshot.streams || {}).forEach(name => {
+      const stream = new RandomGenerator(0);
+      stream.setState(snapshot.streams[name]);
+      this.streams.set(name, stream);
+    });
   }
 }
 
+// Used by systems acting on characters that are not attached to an engine
+const fallbackRNG = new RandomGenerator();
+
 // ============================================================================
 // BASE ENTITY CLASS
 // ============================================================================
@@ -269,9 +691,13 @@ class Entity {
     this.name = name;
     this.x = x;
     this.y = y;
+    this.width = 0;
+    this.height = 0;
     this.active = true;
     this.visible = true;
     this.engine = null;
+    this.scene = null;
+    this.listeners = null;
     this.components = new Map();
     this.tags = new Set();
   }
@@ -292,6 +718,36 @@ class Entity {
     });
   }
 
+  /**
+   * World-space box, taken from the collider when the entity has one
+   */
+  getBounds() {
+    const collider = this.getComponent('collider');
+    if (collider) {
+      return collider.getBounds();
+    }
+    return { x: this.x, y: this.y, width: this.width, height: this.height };
+  }
+
+  /**
+   * Move by an offset, stopping against solid tiles of its scene's map
+   */
+  moveBy(dx, dy) {
+    const scene = this.scene || (this.engine ? this.engine.currentScene : null);
+    
+    if (!scene || !scene.map) {
+      this.x += dx;
+      this.y += dy;
+      return { x: this.x, y: this.y, blockedX: false, blockedY: false };
+    }
+    
+    const bounds = this.getBounds();
+    const result = scene.map.moveRect(bounds, dx, dy);
+    this.x += result.x - bounds.x;
+    this.y += result.y - bounds.y;
+    return { ...result, x: this.x, y: this.y };
+  }
+
   addComponent(name, component) {
     component.entity = this;
     this.components.set(name, component);
@@ -321,541 +777,9321 @@ class Entity {
     return this.tags.has(tag);
   }
 
+  /**
+   * Subscribe for as long as this entity lives; removed on destroy()
+   */
+  listen(eventName, callback, options = {}) {
+    if (!this.engine) {
+      console.warn(`Entity '${this.id}' must be added to the engine before listening for events`);
+      return null;
+    }
+    
+    if (!this.listeners) {
+      this.listeners = this.engine.eventBus.group();
+    }
+    return this.listeners.on(eventName, callback, options);
+  }
+
   destroy() {
     this.components.forEach(component => {
       if (component.destroy) {
         component.destroy();
       }
     });
+    
+    if (this.listeners) {
+      this.listeners.clear();
+    }
   }
 }
 
 // ============================================================================
-// CHARACTER CLASS
+// STAT SYSTEM
 // ============================================================================
 
-class Character extends Entity {
-  constructor(id, name = '', config = {}) {
-    super(id, name, config.x || 0, config.y || 0);
-    
-    // Character stats
-    this.level = config.level || 1;
-    this.experience = config.experience || 0;
-    this.health = config.health || 100;
-    this.maxHealth = config.maxHealth || 100;
-    this.mana = config.mana || 50;
-    this.maxMana = config.maxMana || 50;
-    
-    // Base attributes
-    this.stats = {
-      strength: config.strength || 10,
-      dexterity: config.dexterity || 10,
-      constitution: config.constitution || 10,
-      intelligence: config.intelligence || 10,
-      wisdom: config.wisdom || 10,
-      charisma: config.charisma || 10
-    };
-    
-    // Combat stats
-    this.attack = config.attack || 5;
-    this.defense = config.defense || 5;
-    this.attackSpeed = config.attackSpeed || 1;
-    this.movementSpeed = config.movementSpeed || 100;
-    
-    // Equipment and inventory
-    this.equipment = {
-      head: null,
-      chest: null,
-      hands: null,
-      legs: null,
-      feet: null,
-      mainHand: null,
-      offHand: null
-    };
-    
-    this.inventory = new Inventory();
-    
-    // State
-    this.isAlive = true;
-    this.isInCombat = false;
-    this.statusEffects = [];
+// Primary attributes every character has
+const ATTRIBUTES = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+
+/**
+ * Stat pipeline: base value + derived formula + modifiers, cached until an input changes.
+ * Final value = (base + formula + flat) * (1 + sum of percent) * product of multiply.
+ *
+ * Formulas are data: a map of input stat to a coefficient applied per point above
+ * that input's baseline, e.g. maxHealth: { constitution: 5 } gives +5 max HP per
+ * constitution point above 10. A function (get, statBlock) => number also works.
+ * Modifiers are { stat, type: 'flat' | 'percent' | 'multiply', value, source } where
+ * source tags where they came from (e.g. 'equipment:mainHand', 'status:poison', 'level').
+ */
+class StatBlock {
+  constructor(base = {}, formulas = {}) {
+    this.base = { ...base };
+    this.formulas = formulas;
+    this.modifiers = [];
+    this.cache = new Map();
+    this.computing = new Set();
+    this.onChange = null;
   }
 
-  takeDamage(amount) {
-    this.health -= amount;
-    
-    if (this.health <= 0) {
-      this.health = 0;
-      this.isAlive = false;
-      if (this.engine) {
-        this.engine.eventBus.emit('character:died', { character: this });
-      }
-    }
+  getBase(stat) {
+    return this.base[stat] || 0;
+  }
+
+  setBase(stat, value) {
+    if (this.base[stat] === value) return;
     
-    return this.health;
+    this.base[stat] = value;
+    this.invalidate();
   }
 
-  heal(amount) {
-    this.health = Math.min(this.health + amount, this.maxHealth);
-    return this.health;
+  addBase(stat, amount) {
+    this.setBase(stat, this.getBase(stat) + amount);
   }
 
-  addExperience(amount) {
-    this.experience += amount;
-    
-    // Simple level up calculation: 100 exp per level
-    const newLevel = Math.floor(this.experience / 100) + 1;
+  addModifier(modifier) {
+    const entry = { type: 'flat', source: null, ...modifier };
+    this.modifiers.push(entry);
+    this.invalidate();
+    return entry;
+  }
+
+  removeModifier(modifier) {
+    const count = this.modifiers.length;
+    this.modifiers = this.modifiers.filter(m => m !== modifier);
     
-    if (newLevel > this.level) {
-      this.levelUp(newLevel);
+    if (this.modifiers.length !== count) {
+      this.invalidate();
     }
   }
 
-  levelUp(newLevel) {
-    const levelDifference = newLevel - this.level;
-    
-    this.level = newLevel;
-    this.maxHealth += 10 * levelDifference;
-    this.maxMana += 5 * levelDifference;
-    this.health = this.maxHealth;
-    this.mana = this.maxMana;
+  removeModifiersFromSource(source) {
+    const count = this.modifiers.length;
+    this.modifiers = this.modifiers.filter(m => m.source !== source);
     
-    if (this.engine) {
-      this.engine.eventBus.emit('character:levelUp', { 
+    if (this.modifiers.length !== count) {
+      this.invalidate();
+    }
+  }
+
+  getModifiers(stat) {
+    return this.modifiers.filter(m => m.stat === stat);
+  }
+
+  getFormula(stat) {
+    return this.formulas[stat] || StatBlock.formulas[stat] || null;
+  }
+
+  get(stat) {
+    if (!this.cache.has(stat)) {
+      this.cache.set(stat, this.compute(stat));
+    }
+    
+    return this.cache.get(stat);
+  }
+
+  compute(stat) {
+    let value = this.getBase(stat);
+    const formula = this.getFormula(stat);
+    
+    if (formula) {
+      if (this.computing.has(stat)) {
+        console.warn(`Circular stat formula for '${stat}'`);
+        return value;
+      }
+      
+      this.computing.add(stat);
+      
+      if (typeof formula === 'function') {
+        value += formula(input => this.get(input), this);
+      } else {
+        Object.keys(formula).forEach(input => {
+          const baseline = StatBlock.baselines[input] || 0;
+          value += formula[input] * (this.get(input) - baseline);
+        });
+      }
+      
+      this.computing.delete(stat);
+    }
+    
+    let flat = 0;
+    let percent = 0;
+    let multiply = 1;
+    
+    this.getModifiers(stat).forEach(modifier => {
+      if (modifier.type === 'percent') {
+        percent += modifier.value;
+      } else if (modifier.type === 'multiply') {
+        multiply *= modifier.value;
+      } else {
+        flat += modifier.value;
+      }
+    });
+    
+    return (value + flat) * (1 + percent) * multiply;
+  }
+
+  invalidate() {
+    this.cache.clear();
+    
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * Final values of every stat with a base value or a formula
+   */
+  getAll() {
+    const all = {};
+    const stats = new Set([
+      ...Object.keys(this.base),
+      ...Object.keys(StatBlock.formulas),
+      ...Object.keys(this.formulas)
+    ]);
+    
+    stats.forEach(stat => {
+      all[stat] = this.get(stat);
+    });
+    
+    return all;
+  }
+}
+
+// Designer-tunable defaults; assign or merge into these to retune every character
+StatBlock.formulas = {
+  attack: { strength: 0.5 },
+  maxHealth: { constitution: 5 },
+  maxMana: { intelligence: 3 },
+  spellPower: { intelligence: 1 },
+  critChance: { dexterity: 0.01 }
+};
+
+// Input values at which a formula contributes nothing
+StatBlock.baselines = {
+  strength: 10,
+  dexterity: 10,
+  constitution: 10,
+  intelligence: 10,
+  wisdom: 10,
+  charisma: 10,
+  level: 1
+};
+
+// ============================================================================
+// EQUIPMENT SETS
+// ============================================================================
+
+/**
+ * Registry of equipment set bonuses. Items join a set through their `set` id.
+ * Definitions look like:
+ * {
+ *   id: 'dragon', name: 'Dragonscale',
+ *   bonuses: [
+ *     { pieces: 2, modifiers: [{ stat: 'defense', type: 'flat', value: 5 }] },
+ *     { pieces: 4, modifiers: [{ stat: 'maxHealth', type: 'percent', value: 0.1 }] }
+ *   ]
+ * }
+ */
+class EquipmentSet {
+  static register(definition) {
+    EquipmentSet.registry.set(definition.id, definition);
+    return definition;
+  }
+
+  static get(setId) {
+    return EquipmentSet.registry.get(setId) || null;
+  }
+
+  /**
+   * Modifiers granted for wearing a number of pieces of a set
+   */
+  static getModifiers(setId, pieces) {
+    const definition = EquipmentSet.get(setId);
+    if (!definition) return [];
+    
+    return definition.bonuses
+      .filter(bonus => pieces >= bonus.pieces)
+      .reduce((all, bonus) => all.concat(bonus.modifiers || []), []);
+  }
+}
+
+EquipmentSet.registry = new Map();
+
+// ============================================================================
+// PROGRESSION
+// ============================================================================
+
+/**
+ * Total experience needed to reach each level. Definitions:
+ * { type: 'linear', base: 100 }                 - base XP per level
+ * { type: 'exponential', base: 100, factor: 1.5 } - each level costs factor times the last (factor 1 is linear)
+ * { type: 'table', levels: [0, 100, 250, 500] }   - total XP for level 1, 2, 3...
+ * { type: 'custom', total: level => xp }          - any formula
+ */
+class ExperienceCurve {
+  constructor(definition = {}) {
+    this.type = definition.type || 'linear';
+    this.base = definition.base || 100;
+    this.factor = definition.factor || 1.5;
+    this.levels = definition.levels || [0];
+    this.total = definition.total || null;
+  }
+
+  /**
+   * Total XP needed to reach a level (0 for level 1)
+   */
+  getTotalForLevel(level) {
+    if (level <= 1) return 0;
+    
+    switch (this.type) {
+      case 'exponential':
+        // The geometric sum below divides by zero when every level costs the same
+        if (this.factor === 1) {
+          return this.base * (level - 1);
+        }
+        return Math.round(this.base * (Math.pow(this.factor, level - 1) - 1) / (this.factor - 1));
+        
+      case 'table':
+        return level <= this.levels.length ? this.levels[level - 1] : Infinity;
+        
+      case 'custom':
+        return this.total(level);
+        
+      default:
+        return this.base * (level - 1);
+    }
+  }
+
+  getLevelForExperience(experience, levelCap = Infinity) {
+    let level = 1;
+    
+    while (level < levelCap && this.getTotalForLevel(level + 1) <= experience) {
+      level++;
+    }
+    
+    return level;
+  }
+}
+
+/**
+ * Character class (job) definition. Definitions look like:
+ * {
+ *   id: 'mage', name: 'Mage',
+ *   baseStats: { intelligence: 14, constitution: 8 },
+ *   growth: { intelligence: 2, maxMana: 8, maxHealth: [0, 4, 8, 14, 20], spellPower: level => level * 1.5 },
+ *   xpCurve: { type: 'exponential', base: 100, factor: 1.4 },
+ *   levelCap: 50,
+ *   attributePointsPerLevel: 2, skillPointsPerLevel: 1,
+ *   learnset: [{ level: 3, skill: 'fireball' }],
+ *   skillPool: [{ skill: 'blizzard', level: 10, cost: 2 }]
+ * }
+ * Growth per stat is a per-level number, a table of total bonus by level
+ * (index 0 = level 1), or a function of level returning the total bonus.
+ */
+class CharacterClass {
+  constructor(definition = {}) {
+    this.id = definition.id || 'none';
+    this.name = definition.name || this.id;
+    this.description = definition.description || '';
+    this.baseStats = definition.baseStats || {};
+    this.growth = definition.growth || { maxHealth: 10, maxMana: 5 };
+    this.xpCurve = new ExperienceCurve(definition.xpCurve);
+    this.levelCap = definition.levelCap || 99;
+    this.attributePointsPerLevel = definition.attributePointsPerLevel || 0;
+    this.skillPointsPerLevel = definition.skillPointsPerLevel || 0;
+    this.learnset = definition.learnset || [];
+    this.skillPool = definition.skillPool || [];
+  }
+
+  static register(definition) {
+    const characterClass = definition instanceof CharacterClass ? definition : new CharacterClass(definition);
+    CharacterClass.registry.set(characterClass.id, characterClass);
+    return characterClass;
+  }
+
+  static get(classId) {
+    return CharacterClass.registry.get(classId) || null;
+  }
+
+  /**
+   * Accept a registered id, a CharacterClass or a raw definition
+   */
+  static resolve(characterClass) {
+    if (!characterClass) return null;
+    
+    if (typeof characterClass === 'string') {
+      const registered = CharacterClass.get(characterClass);
+      if (!registered) {
+        console.warn(`Unknown character class: ${characterClass}`);
+      }
+      return registered;
+    }
+    
+    return characterClass instanceof CharacterClass ? characterClass : new CharacterClass(characterClass);
+  }
+
+  /**
+   * Total bonus a growth entry gives at a level
+   */
+  static evaluateGrowth(growth, level) {
+    if (typeof growth === 'function') {
+      return growth(level);
+    }
+    
+    if (Array.isArray(growth)) {
+      return growth.length > 0 ? growth[Math.min(level, growth.length) - 1] : 0;
+    }
+    
+    return growth * (level - 1);
+  }
+}
+
+CharacterClass.registry = new Map();
+
+// ============================================================================
+// CHARACTER CLASS
+// ============================================================================
+
+class Character extends Entity {
+  constructor(id, name = '', config = {}) {
+    super(id, name, config.x || 0, config.y || 0);
+    
+    // Stat pipeline - level, max pools, attributes and combat stats below are
+    // accessors over its base values; getStat() returns the final values
+    this.statBlock = new StatBlock({ spellPower: 10, critChance: 0.1 }, config.statFormulas);
+    this.statBlock.onChange = () => this.clampResources();
+    
+    // Class progression - growth is applied as 'level' modifiers relative to the starting level
+    this.applyClass(CharacterClass.resolve(config.characterClass) || new CharacterClass(), config);
+    this.attributePoints = config.attributePoints || 0;
+    this.skillPoints = config.skillPoints || 0;
+    
+    // Character stats
+    this.level = config.level || 1;
+    this.baseLevel = this.level;
+    this.experience = config.experience || this.xpCurve.getTotalForLevel(this.level);
+    this.maxHealth = config.maxHealth || 100;
+    this.maxMana = config.maxMana || 50;
+    
+    // Base attributes
+    this.stats = {};
+    ATTRIBUTES.forEach(attribute => {
+      Object.defineProperty(this.stats, attribute, {
+        enumerable: true,
+        get: () => this.statBlock.getBase(attribute),
+        set: (value) => this.statBlock.setBase(attribute, value)
+      });
+      this.stats[attribute] = config[attribute] || this.characterClass.baseStats[attribute] || 10;
+    });
+    
+    // Combat stats
+    this.attack = config.attack || 5;
+    this.defense = config.defense || 5;
+    this.attackSpeed = config.attackSpeed || 1;
+    this.movementSpeed = config.movementSpeed || 100;
+    
+    // Current pools start full unless configured
+    this.health = config.health || this.maxHealth;
+    this.mana = config.mana || this.maxMana;
+    
+    // Equipment and inventory
+    this.equipment = {
+      head: null,
+      chest: null,
+      hands: null,
+      legs: null,
+      feet: null,
+      mainHand: null,
+      offHand: null
+    };
+    
+    this.inventory = new Inventory(config.inventorySlots, config.inventoryOptions);
+    this.inventory.onChange = (change) => this.onInventoryChanged(change);
+    
+    // Skills - learnset entries are { level, skill } where skill is an id or definition
+    this.skills = new Map();
+    this.skillCooldowns = new Map();
+    this.casting = null;
+    
+    (config.skills || []).forEach(skill => this.learnSkill(skill));
+    this.learnSkillsForLevel(this.level);
+    
+    // State
+    this.isAlive = true;
+    this.isInCombat = false;
+    this.statusEffects = [];
+    
+    // Status effect names or tags this character can't be afflicted with
+    this.immunities = new Set(config.immunities || []);
+  }
+
+  get level() {
+    return this.statBlock.getBase('level');
+  }
+
+  set level(value) {
+    this.statBlock.setBase('level', value);
+  }
+
+  get maxHealth() {
+    return Math.round(this.statBlock.get('maxHealth'));
+  }
+
+  set maxHealth(value) {
+    this.statBlock.setBase('maxHealth', value);
+  }
+
+  get maxMana() {
+    return Math.round(this.statBlock.get('maxMana'));
+  }
+
+  set maxMana(value) {
+    this.statBlock.setBase('maxMana', value);
+  }
+
+  get attack() {
+    return this.statBlock.getBase('attack');
+  }
+
+  set attack(value) {
+    this.statBlock.setBase('attack', value);
+  }
+
+  get defense() {
+    return this.statBlock.getBase('defense');
+  }
+
+  set defense(value) {
+    this.statBlock.setBase('defense', value);
+  }
+
+  get attackSpeed() {
+    return this.statBlock.getBase('attackSpeed');
+  }
+
+  set attackSpeed(value) {
+    this.statBlock.setBase('attackSpeed', value);
+  }
+
+  get movementSpeed() {
+    return this.statBlock.getBase('movementSpeed');
+  }
+
+  set movementSpeed(value) {
+    this.statBlock.setBase('movementSpeed', value);
+  }
+
+  /**
+   * Final value of any stat after formulas and modifiers
+   */
+  getStat(stat) {
+    return this.statBlock.get(stat);
+  }
+
+  /**
+   * Keep current health and mana within their (possibly lowered) maximums
+   */
+  clampResources() {
+    if (this.health > this.maxHealth) {
+      this.health = this.maxHealth;
+    }
+    if (this.mana > this.maxMana) {
+      this.mana = this.maxMana;
+    }
+  }
+
+  takeDamage(amount) {
+    this.health -= amount;
+    
+    if (this.health <= 0) {
+      this.health = 0;
+      this.isAlive = false;
+      
+      // A listener can cancel the death (a shield, a revive); it may set health
+      // itself. Vetoing listeners subscribe with a positive priority so they run
+      // before consumers like QuestManager, which listen at -100.
+      if (this.engine && !this.engine.eventBus.emit('character:died', { character: this })) {
+        this.isAlive = true;
+        this.health = Math.max(this.health, 1);
+      }
+    }
+    
+    return this.health;
+  }
+
+  heal(amount) {
+    this.health = Math.min(this.health + amount, this.maxHealth);
+    return this.health;
+  }
+
+  addExperience(amount) {
+    // Experience stops accumulating at the level cap
+    const maxExperience = this.xpCurve.getTotalForLevel(this.levelCap);
+    this.experience = Math.min(this.experience + amount, maxExperience);
+    
+    const newLevel = this.xpCurve.getLevelForExperience(this.experience, this.levelCap);
+    
+    if (newLevel > this.level) {
+      this.levelUp(newLevel);
+    }
+  }
+
+  getExperienceForLevel(level) {
+    return this.xpCurve.getTotalForLevel(level);
+  }
+
+  /**
+   * XP still needed for the next level (0 at the level cap)
+   */
+  getExperienceToNextLevel() {
+    if (this.level >= this.levelCap) return 0;
+    return Math.max(0, this.getExperienceForLevel(this.level + 1) - this.experience);
+  }
+
+  /**
+   * Progress through the current level, for XP bars: { current, required }
+   */
+  getLevelProgress() {
+    const levelStart = this.getExperienceForLevel(this.level);
+    
+    if (this.level >= this.levelCap) {
+      return { current: this.experience - levelStart, required: 0 };
+    }
+    
+    return {
+      current: this.experience - levelStart,
+      required: this.getExperienceForLevel(this.level + 1) - levelStart
+    };
+  }
+
+  levelUp(newLevel) {
+    const levelsGained = newLevel - this.level;
+    
+    this.attributePoints += levelsGained * this.characterClass.attributePointsPerLevel;
+    this.skillPoints += levelsGained * this.characterClass.skillPointsPerLevel;
+    this.level = newLevel;
+    this.applyLevelModifiers();
+    this.health = this.maxHealth;
+    this.mana = this.maxMana;
+    
+    if (this.engine) {
+      this.engine.eventBus.emit('character:levelUp', { 
         character: this, 
         newLevel: newLevel 
       });
     }
+    
+    this.learnSkillsForLevel(newLevel);
+  }
+
+  /**
+   * Take growth, experience curve, level cap and learnset from a class;
+   * levelGrowth, xpCurve, levelCap and learnset in `overrides` win. The
+   * overrides are kept for save games (function growths and custom curves
+   * can't be saved and fall back to the class).
+   */
+  applyClass(characterClass, overrides = {}) {
+    this.characterClass = characterClass;
+    this.classOverrides = {};
+    ['levelGrowth', 'xpCurve', 'levelCap', 'learnset'].forEach(key => {
+      if (overrides[key]) {
+        this.classOverrides[key] = overrides[key];
+      }
+    });
+
+    this.levelGrowth = overrides.levelGrowth || characterClass.growth;
+    this.xpCurve = overrides.xpCurve ? new ExperienceCurve(overrides.xpCurve) : characterClass.xpCurve;
+    this.levelCap = overrides.levelCap || characterClass.levelCap;
+    this.learnset = characterClass.learnset.concat(overrides.learnset || []);
+  }
+
+  applyLevelModifiers() {
+    this.statBlock.removeModifiersFromSource('level');
+    
+    if (this.level <= this.baseLevel) return;
+    
+    Object.keys(this.levelGrowth).forEach(stat => {
+      const growth = this.levelGrowth[stat];
+      const value = CharacterClass.evaluateGrowth(growth, this.level) - 
+        CharacterClass.evaluateGrowth(growth, this.baseLevel);
+      
+      if (value) {
+        this.statBlock.addModifier({ stat, type: 'flat', value, source: 'level' });
+      }
+    });
+  }
+
+  /**
+   * Spend unspent attribute points on a primary attribute
+   */
+  allocateAttributePoints(attribute, points = 1) {
+    if (!ATTRIBUTES.includes(attribute) || points <= 0 || points > this.attributePoints) {
+      return false;
+    }
+    
+    this.attributePoints -= points;
+    this.statBlock.addBase(attribute, points);
+    
+    if (this.engine) {
+      this.engine.eventBus.emit('character:attributeAllocated', { character: this, attribute, points });
+    }
+    
+    return true;
+  }
+
+  /**
+   * Skills from the class skill pool this character could buy right now
+   */
+  getPurchasableSkills() {
+    return this.characterClass.skillPool.filter(entry => {
+      const skill = Skill.resolve(entry.skill);
+      return skill && !this.skills.has(skill.id) && this.level >= (entry.level || 1);
+    });
+  }
+
+  /**
+   * Learn a skill from the class skill pool with skill points
+   */
+  purchaseSkill(skillId) {
+    const entry = this.getPurchasableSkills().find(e => Skill.resolve(e.skill).id === skillId);
+    const cost = entry ? (entry.cost || 1) : 0;
+    
+    if (!entry || cost > this.skillPoints) {
+      return false;
+    }
+    
+    this.skillPoints -= cost;
+    return this.learnSkill(entry.skill);
+  }
+
+  learnSkillsForLevel(level) {
+    this.learnset.forEach(entry => {
+      if (entry.level <= level) {
+        this.learnSkill(entry.skill);
+      }
+    });
+  }
+
+  learnSkill(skillOrId) {
+    const skill = Skill.resolve(skillOrId);
+    
+    if (!skill) {
+      console.warn(`Unknown skill: ${skillOrId}`);
+      return false;
+    }
+    
+    if (this.skills.has(skill.id)) {
+      return false;
+    }
+    
+    this.skills.set(skill.id, skill);
+    
+    if (this.engine) {
+      this.engine.eventBus.emit('character:skillLearned', { character: this, skill });
+    }
+    
+    return true;
+  }
+
+  hasSkill(skillId) {
+    return this.skills.has(skillId);
+  }
+
+  getSkillCooldown(skillId) {
+    return this.skillCooldowns.get(skillId) || 0;
+  }
+
+  tickSkillCooldowns(delta) {
+    this.skillCooldowns.forEach((remaining, skillId) => {
+      if (remaining - delta <= 0) {
+        this.skillCooldowns.delete(skillId);
+      } else {
+        this.skillCooldowns.set(skillId, remaining - delta);
+      }
+    });
+  }
+
+  /**
+   * Why a skill can't be used right now, or null if it can
+   */
+  getSkillBlocker(skill) {
+    if (!this.isAlive) return 'dead';
+    if (this.casting) return 'casting';
+    if (this.getSkillCooldown(skill.id) > 0) return 'cooldown';
+    if (!skill.canAfford(this)) return 'insufficientResources';
+    return null;
+  }
+
+  canUseSkill(skillId) {
+    const skill = this.skills.get(skillId);
+    return !!skill && this.getSkillBlocker(skill) === null;
+  }
+
+  /**
+   * Use a known skill. Skills with a cast time start casting and resolve in
+   * update() unless context.instant is set (turn-based battles).
+   * @param {Array|Character} targets - Requested targets, filtered by the skill's target rule
+   * @param {Object} context - Optional battle, rng and instant flag
+   */
+  useSkill(skillId, targets = [], context = {}) {
+    const skill = this.skills.get(skillId);
+    if (!skill) {
+      return { success: false, reason: 'unknownSkill' };
+    }
+    
+    const reason = this.getSkillBlocker(skill);
+    if (reason) {
+      return { success: false, reason, skill };
+    }
+    
+    const resolved = skill.resolveTargets(this, [].concat(targets), context);
+    if (resolved.length === 0) {
+      return { success: false, reason: 'noTarget', skill };
+    }
+    
+    if (skill.castTime > 0 && !context.instant) {
+      this.casting = { skill, targets: resolved, context, remaining: skill.castTime };
+      
+      if (this.engine) {
+        this.engine.eventBus.emit('character:castStarted', { character: this, skill });
+      }
+      
+      return { success: true, casting: true, skill };
+    }
+    
+    return this.completeSkill(skill, resolved, context);
+  }
+
+  completeSkill(skill, targets, context = {}) {
+    // Resources may have changed while casting
+    if (!skill.canAfford(this)) {
+      return { success: false, reason: 'insufficientResources', skill };
+    }
+    
+    skill.payCost(this);
+    if (skill.cooldown > 0) {
+      this.skillCooldowns.set(skill.id, skill.cooldown);
+    }
+    
+    const results = skill.apply(this, targets, context);
+    
+    if (this.engine) {
+      this.engine.eventBus.emit('character:skillUsed', { character: this, skill, targets, results });
+    }
+    
+    return { success: true, skill, targets, results };
+  }
+
+  interruptCast() {
+    if (!this.casting) return false;
+    
+    const skill = this.casting.skill;
+    this.casting = null;
+    
+    if (this.engine) {
+      this.engine.eventBus.emit('character:castInterrupted', { character: this, skill });
+    }
+    
+    return true;
+  }
+
+  /**
+   * Slot an item goes into when none is given: the first of item.slots, or item.slot
+   */
+  getDefaultSlot(item) {
+    return (item.slots && item.slots[0]) || item.slot || null;
+  }
+
+  /**
+   * Why an item can't go into a slot, or null if it can.
+   * Items declare item.slot or item.slots, optional twoHanded, and
+   * requirements such as { level: 5, strength: 12 }.
+   */
+  getEquipBlocker(item, slot) {
+    const allowedSlots = item.slots || (item.slot ? [item.slot] : []);
+    
+    if (!this.equipment.hasOwnProperty(slot) || !allowedSlots.includes(slot)) {
+      return 'invalidSlot';
+    }
+    
+    if (item.twoHanded && slot !== 'mainHand') {
+      return 'invalidSlot';
+    }
+    
+    const requirements = item.requirements || {};
+    
+    if (requirements.level && this.level < requirements.level) {
+      return 'levelTooLow';
+    }
+    
+    const unmet = Object.keys(requirements).some(stat => 
+      stat !== 'level' && this.getStat(stat) < requirements[stat]
+    );
+    
+    return unmet ? 'requirementsNotMet' : null;
+  }
+
+  canEquip(item, slot = this.getDefaultSlot(item)) {
+    return this.getEquipBlocker(item, slot) === null;
+  }
+
+  /**
+   * Slots emptied by putting an item into a slot (two-handed weapons clear the off hand)
+   */
+  getDisplacedSlots(item, slot) {
+    const slots = [slot];
+    
+    if (item.twoHanded) {
+      slots.push('offHand');
+    }
+    
+    if (slot === 'offHand' && this.equipment.mainHand && this.equipment.mainHand.twoHanded) {
+      slots.push('mainHand');
+    }
+    
+    return slots;
+  }
+
+  /**
+   * Equip an item (or the inventory item with that id), as tryEquipItem()
+   * @returns {Object|null} The item previously in the slot, or null if the
+   *   slot was empty or the item couldn't be equipped
+   */
+  equipItem(itemOrId, slot) {
+    const result = this.tryEquipItem(itemOrId, slot);
+    if (!result.success) return null;
+    
+    const previous = result.unequipped.find(entry => entry.slot === result.slot);
+    return previous ? previous.item : null;
+  }
+
+  /**
+   * Equip an item (or the inventory item with that id), reporting why it
+   * failed. Items taken from the inventory leave it and displaced items go
+   * back into it; if they don't fit, nothing changes and the result carries
+   * reason 'inventoryFull'.
+   * @returns {Object} { success, reason, item, slot, unequipped }
+   */
+  tryEquipItem(itemOrId, slot) {
+    const entry = typeof itemOrId === 'string' ? this.inventory.getItem(itemOrId) : itemOrId;
+    
+    if (!entry) {
+      return { success: false, reason: 'missingItem' };
+    }
+    
+    // Equipped items never carry a stack quantity
+    const { quantity, ...item } = entry;
+    const targetSlot = slot || this.getDefaultSlot(item);
+    const reason = this.getEquipBlocker(item, targetSlot);
+    
+    if (reason) {
+      return this.failEquip(item, targetSlot, reason);
+    }
+    
+    const inventorySlot = this.inventory.getSlotIndex(entry);
+    const displaced = this.getDisplacedSlots(item, targetSlot)
+      .filter(s => this.equipment[s])
+      .map(s => ({ slot: s, item: this.equipment[s] }));
+    
+    const committed = this.inventory.transaction(inventory => {
+      if (inventorySlot !== -1 && !inventory.removeFromSlot(inventorySlot, 1)) {
+        return false;
+      }
+      return displaced.every(previous => inventory.addItem(previous.item, 1));
+    });
+    
+    if (!committed) {
+      return this.failEquip(item, targetSlot, 'inventoryFull');
+    }
+    
+    displaced.forEach(previous => {
+      this.equipment[previous.slot] = null;
+      this.refreshEquipmentModifiers(previous.slot);
+    });
+    
+    this.equipment[targetSlot] = item;
+    this.refreshEquipmentModifiers(targetSlot);
+    this.refreshSetBonuses();
+    
+    if (this.engine) {
+      displaced.forEach(previous => {
+        this.engine.eventBus.emit('character:itemUnequipped', { 
+          character: this, 
+          item: previous.item, 
+          slot: previous.slot 
+        });
+      });
+      this.engine.eventBus.emit('character:itemEquipped', { 
+        character: this, 
+        item, 
+        slot: targetSlot 
+      });
+    }
+    
+    return { success: true, item, slot: targetSlot, unequipped: displaced };
+  }
+
+  failEquip(item, slot, reason) {
+    if (this.engine) {
+      this.engine.eventBus.emit('character:equipFailed', { character: this, item, slot, reason });
+    }
+    
+    return { success: false, reason, item, slot };
+  }
+
+  /**
+   * Move the item in a slot back into the inventory, as tryUnequipItem()
+   * @returns {Object|null} The removed item, or null if there was none or it didn't fit
+   */
+  unequipItem(slot) {
+    const result = this.tryUnequipItem(slot);
+    return result.success ? result.item : null;
+  }
+
+  /**
+   * Move the item in a slot back into the inventory, reporting why it failed
+   * @returns {Object} { success, reason, item, slot }
+   */
+  tryUnequipItem(slot) {
+    const item = this.equipment[slot];
+    
+    if (!item) {
+      return { success: false, reason: 'emptySlot', slot };
+    }
+    
+    if (!this.inventory.addItem(item, 1)) {
+      return { success: false, reason: 'inventoryFull', item, slot };
+    }
+    
+    this.equipment[slot] = null;
+    this.refreshEquipmentModifiers(slot);
+    this.refreshSetBonuses();
+    
+    if (this.engine) {
+      this.engine.eventBus.emit('character:itemUnequipped', { character: this, item, slot });
+    }
+    
+    return { success: true, item, slot };
+  }
+
+  onInventoryChanged(change) {
+    // Carrying too much halves movement speed
+    this.statBlock.removeModifiersFromSource('encumbrance');
+    if (this.inventory.isEncumbered()) {
+      this.statBlock.addModifier({ stat: 'movementSpeed', type: 'percent', value: -0.5, source: 'encumbrance' });
+    }
+    
+    if (this.engine) {
+      this.engine.eventBus.emit('inventory:changed', { 
+        character: this, 
+        inventory: this.inventory, 
+        change 
+      });
+    }
+  }
+
+  /**
+   * Plain, JSON-safe snapshot of this character for save games
+   */
+  serialize() {
+    const skillCooldowns = {};
+    this.skillCooldowns.forEach((remaining, skillId) => {
+      skillCooldowns[skillId] = remaining;
+    });
+    
+    return {
+      id: this.id,
+      name: this.name,
+      x: this.x,
+      y: this.y,
+      active: this.active,
+      visible: this.visible,
+      tags: Array.from(this.tags),
+      characterClass: CharacterClass.get(this.characterClass.id) === this.characterClass ? 
+        this.characterClass.id : null,
+      classOverrides: JSON.parse(JSON.stringify(this.classOverrides)),
+      baseLevel: this.baseLevel,
+      experience: this.experience,
+      attributePoints: this.attributePoints,
+      skillPoints: this.skillPoints,
+      health: this.health,
+      mana: this.mana,
+      isAlive: this.isAlive,
+      base: { ...this.statBlock.base },
+      equipment: { ...this.equipment },
+      inventory: this.inventory.snapshot(),
+      // Registered skills by id, ad-hoc ones by definition
+      skills: Array.from(this.skills.values()).map(skill => (Skill.get(skill.id) === skill ? skill.id : skill)),
+      skillCooldowns,
+      statusEffects: this.statusEffects.map(effect => ({
+        definition: effect.definition,
+        duration: isFinite(effect.duration) ? effect.duration : null,
+        stacks: effect.stacks,
+        tickTimer: effect.tickTimer
+      })),
+      immunities: Array.from(this.immunities)
+    };
+  }
+
+  /**
+   * Restore a snapshot from serialize(). Modifiers are rebuilt from equipment,
+   * status effects and level rather than saved.
+   */
+  restoreState(data) {
+    this.name = data.name;
+    this.x = data.x;
+    this.y = data.y;
+    this.active = data.active;
+    this.visible = data.visible;
+    this.tags = new Set(data.tags);
+    // An unregistered class wasn't saved; keep the one this character was built with
+    const characterClass = (data.characterClass && CharacterClass.get(data.characterClass)) || this.characterClass;
+    this.applyClass(characterClass, data.classOverrides || {});
+    this.baseLevel = data.baseLevel;
+    this.experience = data.experience;
+    this.attributePoints = data.attributePoints || 0;
+    this.skillPoints = data.skillPoints || 0;
+    this.isAlive = data.isAlive;
+    this.casting = null;
+    
+    this.statBlock.base = { ...data.base };
+    this.statBlock.modifiers = [];
+    this.statBlock.invalidate();
+    
+    this.equipment = { ...data.equipment };
+    Object.keys(this.equipment).forEach(slot => this.refreshEquipmentModifiers(slot));
+    this.refreshSetBonuses();
+    this.applyLevelModifiers();
+    
+    this.skills = new Map();
+    data.skills.forEach(saved => {
+      const skill = Skill.resolve(saved);
+      if (skill) {
+        this.skills.set(skill.id, skill);
+      }
+    });
+    this.skillCooldowns = new Map(Object.entries(data.skillCooldowns));
+    
+    this.statusEffects = [];
+    data.statusEffects.forEach(saved => {
+      const effect = StatusEffect.create(saved.definition);
+      if (!effect) return;
+      
+      effect.duration = saved.duration === null ? Infinity : saved.duration;
+      effect.stacks = saved.stacks;
+      effect.tickTimer = saved.tickTimer;
+      this.statusEffects.push(effect);
+      this.refreshStatusModifiers(effect);
+    });
+    this.immunities = new Set(data.immunities);
+    
+    this.inventory.restore(data.inventory);
+    this.onInventoryChanged({ type: 'restore' });
+    
+    // Pools last so they aren't clamped against half-restored maximums
+    this.health = data.health;
+    this.mana = data.mana;
+  }
+
+  getEquippedItems() {
+    return Object.keys(this.equipment)
+      .filter(slot => this.equipment[slot])
+      .map(slot => this.equipment[slot]);
+  }
+
+  /**
+   * Rebuild set bonus modifiers from the pieces currently worn
+   */
+  refreshSetBonuses() {
+    const pieces = {};
+    this.getEquippedItems().forEach(item => {
+      if (item.set) {
+        pieces[item.set] = (pieces[item.set] || 0) + 1;
+      }
+    });
+    
+    EquipmentSet.registry.forEach((definition, setId) => {
+      const source = `set:${setId}`;
+      this.statBlock.removeModifiersFromSource(source);
+      
+      EquipmentSet.getModifiers(setId, pieces[setId] || 0).forEach(modifier => {
+        this.statBlock.addModifier({ ...modifier, source });
+      });
+    });
+  }
+
+  /**
+   * Rebuild the modifiers contributed by the item in a slot. Items may carry
+   * flat attack/defense, a stats map of flat bonuses and a modifiers list.
+   */
+  refreshEquipmentModifiers(slot) {
+    const source = `equipment:${slot}`;
+    const item = this.equipment[slot];
+    
+    this.statBlock.removeModifiersFromSource(source);
+    if (!item) return;
+    
+    const flat = { attack: item.attack || 0, defense: item.defense || 0, ...item.stats };
+    Object.keys(flat).forEach(stat => {
+      if (flat[stat]) {
+        this.statBlock.addModifier({ stat, type: 'flat', value: flat[stat], source });
+      }
+    });
+    
+    (item.modifiers || []).forEach(modifier => {
+      this.statBlock.addModifier({ ...modifier, source });
+    });
+  }
+
+  /**
+   * Mirror a status effect's modifiers (scaled by stacks) into the stat pipeline
+   */
+  refreshStatusModifiers(effect) {
+    const source = `status:${effect.name}`;
+    this.statBlock.removeModifiersFromSource(source);
+    
+    if (!this.statusEffects.includes(effect)) return;
+    
+    effect.modifiers.forEach(modifier => {
+      if (modifier.flat) {
+        this.statBlock.addModifier({ stat: modifier.stat, type: 'flat', value: modifier.flat * effect.stacks, source });
+      }
+      if (modifier.percent) {
+        this.statBlock.addModifier({ stat: modifier.stat, type: 'percent', value: modifier.percent * effect.stacks, source });
+      }
+    });
+  }
+
+  /**
+   * Apply a status effect by registered name, definition or instance.
+   * Returns the active effect, or null if it was resisted or ignored.
+   */
+  addStatusEffect(effect) {
+    const instance = StatusEffect.create(effect);
+    if (!instance) return null;
+    
+    if (this.isImmuneTo(instance)) {
+      if (this.engine) {
+        this.engine.eventBus.emit('character:statusEffectResisted', { 
+          character: this, 
+          effect: instance 
+        });
+      }
+      return null;
+    }
+    
+    const existing = this.getStatusEffect(instance.name);
+    
+    if (existing) {
+      if (existing.stacking === 'unique') {
+        return null;
+      }
+      
+      if (existing.stacking === 'stack') {
+        existing.stacks = Math.min(existing.stacks + 1, existing.maxStacks);
+      }
+      existing.duration = Math.max(existing.duration, instance.duration);
+      this.refreshStatusModifiers(existing);
+      
+      if (this.engine) {
+        this.engine.eventBus.emit('character:statusEffectRefreshed', { 
+          character: this, 
+          effect: existing,
+          stacks: existing.stacks
+        });
+      }
+      return existing;
+    }
+    
+    this.statusEffects.push(instance);
+    this.refreshStatusModifiers(instance);
+    
+    if (instance.onApply) {
+      instance.onApply(this, instance);
+    }
+    
+    if (this.engine) {
+      this.engine.eventBus.emit('character:statusEffectApplied', { 
+        character: this, 
+        effect: instance 
+      });
+    }
+    
+    return instance;
+  }
+
+  removeStatusEffect(effectName) {
+    const effect = this.getStatusEffect(effectName);
+    if (!effect) return false;
+    
+    this.statusEffects = this.statusEffects.filter(e => e !== effect);
+    this.refreshStatusModifiers(effect);
+    
+    if (effect.onRemove) {
+      effect.onRemove(this, effect);
+    }
+    
+    if (this.engine) {
+      this.engine.eventBus.emit('character:statusEffectRemoved', { 
+        character: this, 
+        effect: effect 
+      });
+    }
+    
+    return true;
+  }
+
+  getStatusEffect(effectName) {
+    return this.statusEffects.find(e => e.name === effectName) || null;
+  }
+
+  hasStatusEffect(effectName) {
+    return this.getStatusEffect(effectName) !== null;
+  }
+
+  addImmunity(nameOrTag) {
+    this.immunities.add(nameOrTag);
+  }
+
+  removeImmunity(nameOrTag) {
+    this.immunities.delete(nameOrTag);
+  }
+
+  isImmuneTo(effect) {
+    return this.immunities.has(effect.name) || effect.tags.some(tag => this.immunities.has(tag));
+  }
+
+  updateStatusEffects(delta) {
+    // Iterate a copy - ticks can kill the character or trigger hooks that add effects
+    this.statusEffects.slice().forEach(effect => {
+      if (effect.update(this, delta)) return;
+      
+      this.statusEffects = this.statusEffects.filter(e => e !== effect);
+      this.refreshStatusModifiers(effect);
+      
+      if (effect.onExpire) {
+        effect.onExpire(this, effect);
+      }
+      
+      if (this.engine) {
+        this.engine.eventBus.emit('character:statusEffectExpired', { 
+          character: this, 
+          effect: effect 
+        });
+      }
+    });
+  }
+
+  calculateTotalAttack() {
+    return Math.max(0, this.getStat('attack'));
+  }
+
+  calculateTotalDefense() {
+    return Math.max(0, this.getStat('defense'));
+  }
+
+  getAttackSpeed() {
+    return Math.max(0, this.getStat('attackSpeed'));
+  }
+
+  getMovementSpeed() {
+    return Math.max(0, this.getStat('movementSpeed'));
+  }
+
+  /**
+   * Move in a direction at movement speed for `delta` seconds, stopping at
+   * solid tiles (see moveBy())
+   */
+  move(dx, dy, delta) {
+    const speed = this.getMovementSpeed();
+    return this.moveBy(dx * speed * delta, dy * speed * delta);
+  }
+
+  update(delta) {
+    super.update(delta);
+    
+    this.tickSkillCooldowns(delta);
+    
+    // Progress the current cast
+    if (this.casting) {
+      if (!this.isAlive) {
+        this.interruptCast();
+      } else {
+        this.casting.remaining -= delta;
+        
+        if (this.casting.remaining <= 0) {
+          const cast = this.casting;
+          this.casting = null;
+          this.completeSkill(cast.skill, cast.targets.filter(t => t.isAlive || cast.skill.target === 'self'), cast.context);
+        }
+      }
+    }
+    
+    this.updateStatusEffects(delta);
+  }
+}
+
+// ============================================================================
+// STATUS EFFECTS
+// ============================================================================
+
+/**
+ * Timed effect on a character. Definitions look like:
+ * {
+ *   name: 'poison', tags: ['debuff'], duration: 5,
+ *   stacking: 'refresh' | 'stack' | 'unique', maxStacks: 3,
+ *   tickInterval: 1, tick: { damage: 4 } | { heal: 2, mana: 1 },
+ *   modifiers: [{ stat: 'attack' | 'defense' | 'attackSpeed' | 'movementSpeed' | ..., flat: 2, percent: -0.1 }],
+ *   onApply(character, effect) {}, onExpire(character, effect) {}, onRemove(character, effect) {}
+ * }
+ * Ticks and modifiers scale with the stack count. Omitting duration makes the effect permanent.
+ */
+class StatusEffect {
+  constructor(definition = {}) {
+    this.definition = definition;
+    this.name = definition.name;
+    this.tags = definition.tags || [];
+    this.source = definition.source || null;
+    this.maxDuration = definition.duration !== undefined ? definition.duration : Infinity;
+    this.duration = this.maxDuration;
+    this.stacking = definition.stacking || 'refresh';
+    this.maxStacks = definition.maxStacks || (this.stacking === 'stack' ? Infinity : 1);
+    this.stacks = 1;
+    this.tick = definition.tick || null;
+    this.tickInterval = definition.tickInterval || 1;
+    this.tickTimer = 0;
+    this.modifiers = definition.modifiers || [];
+    this.onApply = definition.onApply || null;
+    this.onExpire = definition.onExpire || null;
+    this.onRemove = definition.onRemove || null;
+  }
+
+  static register(definition) {
+    StatusEffect.registry.set(definition.name, definition);
+    return definition;
+  }
+
+  /**
+   * Build an instance from a registered name or a definition. Definitions
+   * naming a registered effect inherit its fields, so { name: 'poison', duration: 3 }
+   * only overrides the duration.
+   */
+  static create(effect) {
+    if (effect instanceof StatusEffect) {
+      return effect;
+    }
+    
+    if (typeof effect === 'string') {
+      const definition = StatusEffect.registry.get(effect);
+      if (!definition) {
+        console.warn(`Unknown status effect: ${effect}`);
+        return null;
+      }
+      return new StatusEffect(definition);
+    }
+    
+    return new StatusEffect({ ...StatusEffect.registry.get(effect.name), ...effect });
+  }
+
+  /**
+   * Advance the effect; returns false once it has expired
+   */
+  update(character, delta) {
+    this.duration -= delta;
+    
+    if (this.tick) {
+      this.tickTimer += delta;
+      while (this.tickTimer >= this.tickInterval) {
+        this.tickTimer -= this.tickInterval;
+        this.applyTick(character);
+      }
+    }
+    
+    return this.duration > 0;
+  }
+
+  applyTick(character) {
+    if (!character.isAlive) return;
+    
+    const damage = (this.tick.damage || 0) * this.stacks;
+    const heal = (this.tick.heal || 0) * this.stacks;
+    const mana = (this.tick.mana || 0) * this.stacks;
+    
+    if (heal) character.heal(heal);
+    if (mana) character.mana = Math.max(0, Math.min(character.mana + mana, character.maxMana));
+    if (damage) character.takeDamage(damage);
+    
+    if (character.engine) {
+      character.engine.eventBus.emit('character:statusEffectTick', {
+        character,
+        effect: this,
+        damage,
+        heal,
+        mana
+      });
+    }
+  }
+}
+
+StatusEffect.registry = new Map();
+
+// ============================================================================
+// INVENTORY SYSTEM
+// ============================================================================
+
+/**
+ * Slot-addressed inventory. Each slot holds null or an entry ({ ...item, quantity }).
+ * Stackable items stack up to item.maxStack (or the inventory default); other
+ * items take one slot each. Item weight counts against an optional maxWeight,
+ * and past encumbranceWeight the inventory reports itself as encumbered.
+ * Every mutation reports a change through onChange; changes made inside a
+ * transaction are reported once, as a single 'transaction' change, on commit.
+ */
+class Inventory {
+  constructor(maxSlots = 20, options = {}) {
+    this.slots = new Array(maxSlots).fill(null);
+    this.maxWeight = options.maxWeight || Infinity;
+    this.encumbranceWeight = options.encumbranceWeight || Infinity;
+    this.defaultMaxStack = options.defaultMaxStack || 99;
+    this.onChange = null;
+    this.pendingChanges = null;
+  }
+
+  get maxSlots() {
+    return this.slots.length;
+  }
+
+  set maxSlots(value) {
+    this.resize(value);
+  }
+
+  /**
+   * All entries in slot order
+   */
+  get items() {
+    return this.slots.filter(entry => entry !== null);
+  }
+
+  /**
+   * Change the slot count; fails if occupied slots would be cut off
+   */
+  resize(maxSlots) {
+    if (this.slots.slice(maxSlots).some(entry => entry !== null)) {
+      return false;
+    }
+    
+    while (this.slots.length < maxSlots) {
+      this.slots.push(null);
+    }
+    this.slots.length = maxSlots;
+    
+    this.notify({ type: 'resize', maxSlots });
+    return true;
+  }
+
+  notify(change) {
+    if (this.pendingChanges) {
+      this.pendingChanges.push(change);
+    } else if (this.onChange) {
+      this.onChange(change);
+    }
+  }
+
+  getMaxStack(item) {
+    return item.stackable ? (item.maxStack || this.defaultMaxStack) : 1;
+  }
+
+  getWeight() {
+    return this.items.reduce((total, entry) => total + (entry.weight || 0) * entry.quantity, 0);
+  }
+
+  isEncumbered() {
+    return this.getWeight() > this.encumbranceWeight;
+  }
+
+  /**
+   * Whether the whole quantity fits, by weight and by free stack space
+   */
+  canAdd(item, quantity = 1) {
+    if (this.getWeight() + (item.weight || 0) * quantity > this.maxWeight) {
+      return false;
+    }
+    
+    const maxStack = this.getMaxStack(item);
+    const space = this.slots.reduce((total, entry) => {
+      if (!entry) return total + maxStack;
+      if (entry.id === item.id && item.stackable) return total + Math.max(0, maxStack - entry.quantity);
+      return total;
+    }, 0);
+    
+    return space >= quantity;
+  }
+
+  /**
+   * Add a quantity of an item (or ItemDatabase id), topping up existing stacks
+   * before using empty slots. All or nothing: returns false and changes nothing
+   * if it doesn't fit.
+   */
+  addItem(itemOrId, quantity = 1) {
+    const item = typeof itemOrId === 'string' ? ItemDatabase.get(itemOrId) : itemOrId;
+    
+    if (!item || quantity <= 0 || !this.canAdd(item, quantity)) {
+      return false;
+    }
+    
+    const maxStack = this.getMaxStack(item);
+    let remaining = quantity;
+    
+    if (item.stackable) {
+      this.slots.forEach(entry => {
+        if (remaining > 0 && entry && entry.id === item.id && entry.quantity < maxStack) {
+          const added = Math.min(remaining, maxStack - entry.quantity);
+          entry.quantity += added;
+          remaining -= added;
+        }
+      });
+    }
+    
+    for (let i = 0; i < this.slots.length && remaining > 0; i++) {
+      if (!this.slots[i]) {
+        const added = Math.min(remaining, maxStack);
+        this.slots[i] = { ...item, quantity: added };
+        remaining -= added;
+      }
+    }
+    
+    this.notify({ type: 'add', item, quantity });
+    return true;
+  }
+
+  /**
+   * Remove a quantity of an item across its stacks, newest stacks first.
+   * Returns false and changes nothing if there isn't enough.
+   */
+  removeItem(itemId, quantity = 1) {
+    if (quantity <= 0 || this.countItem(itemId) < quantity) {
+      return false;
+    }
+    
+    const template = this.getItem(itemId);
+    let remaining = quantity;
+    
+    for (let i = this.slots.length - 1; i >= 0 && remaining > 0; i--) {
+      const entry = this.slots[i];
+      if (entry && entry.id === itemId) {
+        const removed = Math.min(remaining, entry.quantity);
+        entry.quantity -= removed;
+        remaining -= removed;
+        
+        if (entry.quantity <= 0) {
+          this.slots[i] = null;
+        }
+      }
+    }
+    
+    this.notify({ type: 'remove', item: template, quantity });
+    return true;
+  }
+
+  /**
+   * Remove from one specific slot; returns the removed entry or null
+   */
+  removeFromSlot(index, quantity) {
+    const entry = this.getSlot(index);
+    const amount = quantity === undefined ? (entry ? entry.quantity : 0) : quantity;
+    
+    if (!entry || amount <= 0 || entry.quantity < amount) {
+      return null;
+    }
+    
+    entry.quantity -= amount;
+    if (entry.quantity <= 0) {
+      this.slots[index] = null;
+    }
+    
+    const removed = { ...entry, quantity: amount };
+    this.notify({ type: 'remove', item: removed, quantity: amount, slot: index });
+    return removed;
+  }
+
+  getSlot(index) {
+    return this.slots[index] || null;
+  }
+
+  getSlotIndex(entry) {
+    return this.slots.indexOf(entry);
+  }
+
+  findSlot(itemId) {
+    return this.slots.findIndex(entry => entry && entry.id === itemId);
+  }
+
+  findEmptySlot() {
+    return this.slots.indexOf(null);
+  }
+
+  getItem(itemId) {
+    return this.items.find(i => i.id === itemId);
+  }
+
+  getItemsByType(type) {
+    return this.items.filter(i => i.type === type);
+  }
+
+  filter(predicate) {
+    return this.items.filter(predicate);
+  }
+
+  countItem(itemId) {
+    return this.items.reduce((total, entry) => total + (entry.id === itemId ? entry.quantity : 0), 0);
+  }
+
+  hasItem(itemId, quantity = 1) {
+    return this.countItem(itemId) >= quantity;
+  }
+
+  /**
+   * Split part of a stack into an empty slot (the first free one by default)
+   */
+  splitStack(index, quantity, targetIndex = this.findEmptySlot()) {
+    const entry = this.getSlot(index);
+    
+    if (!entry || quantity <= 0 || quantity >= entry.quantity || 
+        targetIndex < 0 || this.getSlot(targetIndex)) {
+      return false;
+    }
+    
+    entry.quantity -= quantity;
+    this.slots[targetIndex] = { ...entry, quantity };
+    
+    this.notify({ type: 'split', from: index, to: targetIndex, quantity });
+    return true;
+  }
+
+  /**
+   * Move as much of one stack onto another stack of the same item as fits
+   */
+  mergeStacks(fromIndex, toIndex) {
+    const from = this.getSlot(fromIndex);
+    const to = this.getSlot(toIndex);
+    
+    if (!from || !to || fromIndex === toIndex || from.id !== to.id || !from.stackable) {
+      return false;
+    }
+    
+    const moved = Math.min(from.quantity, this.getMaxStack(to) - to.quantity);
+    if (moved <= 0) return false;
+    
+    to.quantity += moved;
+    from.quantity -= moved;
+    if (from.quantity <= 0) {
+      this.slots[fromIndex] = null;
+    }
+    
+    this.notify({ type: 'merge', from: fromIndex, to: toIndex, quantity: moved });
+    return true;
+  }
+
+  swapSlots(indexA, indexB) {
+    if (indexA < 0 || indexB < 0 || indexA >= this.slots.length || indexB >= this.slots.length) {
+      return false;
+    }
+    
+    const entry = this.slots[indexA];
+    this.slots[indexA] = this.slots[indexB];
+    this.slots[indexB] = entry;
+    
+    this.notify({ type: 'swap', from: indexA, to: indexB });
+    return true;
+  }
+
+  /**
+   * Drag-and-drop move: into an empty slot, onto a matching stack, or swap
+   */
+  moveItem(fromIndex, toIndex) {
+    const from = this.getSlot(fromIndex);
+    const to = this.getSlot(toIndex);
+    
+    if (!from || toIndex < 0 || toIndex >= this.slots.length || fromIndex === toIndex) {
+      return false;
+    }
+    
+    if (to && to.id === from.id && from.stackable) {
+      return this.mergeStacks(fromIndex, toIndex);
+    }
+    
+    return this.swapSlots(fromIndex, toIndex);
+  }
+
+  /**
+   * Merge partial stacks and pack entries to the front, ordered by compare
+   * (default: type, then name)
+   */
+  sort(compare = Inventory.compareByType) {
+    const merged = [];
+    
+    this.items.forEach(entry => {
+      let remaining = entry.quantity;
+      
+      merged.forEach(existing => {
+        if (remaining > 0 && existing.id === entry.id && entry.stackable) {
+          const moved = Math.min(remaining, this.getMaxStack(existing) - existing.quantity);
+          existing.quantity += moved;
+          remaining -= moved;
+        }
+      });
+      
+      if (remaining > 0) {
+        merged.push({ ...entry, quantity: remaining });
+      }
+    });
+    
+    merged.sort(compare);
+    this.slots = this.slots.map((_, i) => merged[i] || null);
+    
+    this.notify({ type: 'sort' });
+  }
+
+  static compareByType(a, b) {
+    return String(a.type || '').localeCompare(String(b.type || '')) ||
+      String(a.name || a.id).localeCompare(String(b.name || b.id));
+  }
+
+  /**
+   * Add several { item, quantity } entries, all or nothing
+   */
+  addItems(entries) {
+    return this.transaction(() => entries.every(e => this.addItem(e.item, e.quantity || 1)));
+  }
+
+  /**
+   * Remove several { itemId, quantity } entries, all or nothing (crafting costs)
+   */
+  removeItems(entries) {
+    return this.transaction(() => entries.every(e => this.removeItem(e.itemId, e.quantity || 1)));
+  }
+
+  /**
+   * Move a quantity of an item into another inventory, all or nothing
+   */
+  transferTo(target, itemId, quantity = 1) {
+    const item = this.getItem(itemId);
+    if (!item) return false;
+    
+    return Inventory.transaction([this, target], () => 
+      this.removeItem(itemId, quantity) && target.addItem(item, quantity)
+    );
+  }
+
+  transaction(callback) {
+    return Inventory.transaction([this], callback);
+  }
+
+  /**
+   * Run callback against one or more inventories. If it returns false or throws,
+   * every inventory is restored to its state before the call.
+   */
+  static transaction(inventories, callback) {
+    const snapshots = inventories.map(inventory => inventory.snapshot());
+    const outerChanges = inventories.map(inventory => inventory.pendingChanges);
+    
+    inventories.forEach(inventory => {
+      inventory.pendingChanges = [];
+    });
+    
+    let committed = false;
+    try {
+      committed = callback(...inventories) !== false;
+    } catch (error) {
+      console.error('Inventory transaction failed:', error);
+    }
+    
+    inventories.forEach((inventory, i) => {
+      const changes = inventory.pendingChanges;
+      inventory.pendingChanges = outerChanges[i];
+      
+      if (!committed) {
+        inventory.restore(snapshots[i]);
+      } else if (changes.length > 0) {
+        inventory.notify({ type: 'transaction', changes });
+      }
+    });
+    
+    return committed;
+  }
+
+  snapshot() {
+    return this.slots.map(entry => (entry ? { ...entry } : null));
+  }
+
+  restore(snapshot) {
+    this.slots = snapshot.map(entry => (entry ? { ...entry } : null));
+  }
+
+  isFull() {
+    return this.findEmptySlot() === -1;
+  }
+
+  getSize() {
+    return this.items.length;
+  }
+
+  clear() {
+    this.slots = this.slots.map(() => null);
+    this.notify({ type: 'clear' });
+  }
+}
+
+// ============================================================================
+// ITEM DATABASE
+// ============================================================================
+
+// Rarity tiers from most to least common
+const ITEM_RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+
+/**
+ * Central item registry keyed by id. Definitions carry at least
+ * { id, name, type, rarity, price, icon, stats } plus any type-specific
+ * fields (slot, attack, heal, stackable, weight...).
+ */
+class ItemDatabase {
+  static register(definition) {
+    const item = {
+      name: definition.id,
+      type: 'misc',
+      rarity: 'common',
+      price: 0,
+      icon: null,
+      stats: {},
+      ...definition
+    };
+    
+    if (!ITEM_RARITIES.includes(item.rarity)) {
+      console.warn(`Item '${item.id}' has unknown rarity '${item.rarity}'`);
+    }
+    
+    ItemDatabase.registry.set(item.id, item);
+    return item;
+  }
+
+  static registerAll(definitions) {
+    return definitions.map(definition => ItemDatabase.register(definition));
+  }
+
+  static get(itemId) {
+    return ItemDatabase.registry.get(itemId) || null;
+  }
+
+  static has(itemId) {
+    return ItemDatabase.registry.has(itemId);
+  }
+
+  /**
+   * Fresh copy of a registered item, optionally with per-instance overrides
+   */
+  static create(itemId, overrides = {}) {
+    const definition = ItemDatabase.get(itemId);
+    
+    if (!definition) {
+      console.warn(`Unknown item: ${itemId}`);
+      return null;
+    }
+    
+    return { ...definition, stats: { ...definition.stats }, ...overrides };
+  }
+
+  static getByType(type) {
+    return Array.from(ItemDatabase.registry.values()).filter(item => item.type === type);
+  }
+
+  static getByRarity(rarity) {
+    return Array.from(ItemDatabase.registry.values()).filter(item => item.rarity === rarity);
+  }
+}
+
+ItemDatabase.registry = new Map();
+
+// ============================================================================
+// LOOT TABLES
+// ============================================================================
+
+/**
+ * Weighted loot table. Definitions look like:
+ * {
+ *   id: 'goblin',
+ *   rolls: 1 | { min: 1, max: 3 },
+ *   guaranteed: [{ item: 'gold', quantity: { min: 5, max: 10 } }],
+ *   entries: [
+ *     { item: 'potion', weight: 10, quantity: { min: 1, max: 2 } },
+ *     { table: 'gems', weight: 2 },
+ *     { weight: 20 },
+ *     { item: 'cellar-key', weight: 5, conditions: { minLevel: 3, quests: { 'rat-problem': 'active' } } }
+ *   ]
+ * }
+ * Entries without item or table drop nothing. Nested tables are ids or inline
+ * definitions. conditions may also hold a `check(context)` function.
+ */
+class LootTable {
+  constructor(definition = {}) {
+    this.id = definition.id || null;
+    this.rolls = definition.rolls !== undefined ? definition.rolls : 1;
+    this.guaranteed = definition.guaranteed || [];
+    this.entries = definition.entries || [];
+  }
+
+  static register(definition) {
+    const table = definition instanceof LootTable ? definition : new LootTable(definition);
+    LootTable.registry.set(table.id, table);
+    return table;
+  }
+
+  static get(tableId) {
+    return LootTable.registry.get(tableId) || null;
+  }
+
+  /**
+   * Accept a registered id, a LootTable or a raw definition
+   */
+  static resolve(table) {
+    if (typeof table === 'string') {
+      const registered = LootTable.get(table);
+      if (!registered) {
+        console.warn(`Unknown loot table: ${table}`);
+      }
+      return registered;
+    }
+    
+    return table instanceof LootTable ? table : new LootTable(table);
+  }
+
+  static rollRange(range, rng) {
+    if (typeof range === 'number') return range;
+    if (!range) return 1;
+    return rng.int(range.min, range.max);
+  }
+
+  /**
+   * Whether an entry may drop. Context holds the character being rewarded;
+   * quest conditions use context.getQuestStatus(questId) or the engine's QuestManager.
+   */
+  static checkConditions(conditions, context) {
+    if (!conditions) return true;
+    
+    const level = context.level !== undefined ? context.level : 
+      (context.character ? context.character.level : 1);
+    
+    if (conditions.minLevel !== undefined && level < conditions.minLevel) return false;
+    if (conditions.maxLevel !== undefined && level > conditions.maxLevel) return false;
+    
+    if (conditions.quests) {
+      const engine = context.engine || (context.character && context.character.engine);
+      const getStatus = context.getQuestStatus || 
+        (engine ? questId => engine.questManager.getStatus(questId) : () => null);
+      const unmet = Object.keys(conditions.quests).some(questId => 
+        getStatus(questId) !== conditions.quests[questId]
+      );
+      if (unmet) return false;
+    }
+    
+    return conditions.check ? conditions.check(context) : true;
+  }
+
+  static getRNG(context) {
+    if (context.rng) return context.rng;
+    
+    const engine = context.engine || (context.character && context.character.engine);
+    return engine ? engine.rng.stream('loot') : fallbackRNG;
+  }
+
+  /**
+   * Roll the table and return [{ item, quantity }] with items created from the ItemDatabase
+   */
+  roll(context = {}, depth = 0) {
+    if (depth > 10) {
+      console.warn(`Loot table '${this.id}' nests too deeply`);
+      return [];
+    }
+    
+    const rng = LootTable.getRNG(context);
+    const drops = [];
+    
+    this.guaranteed
+      .filter(entry => LootTable.checkConditions(entry.conditions, context))
+      .forEach(entry => drops.push(...this.resolveEntry(entry, context, rng, depth)));
+    
+    const rolls = LootTable.rollRange(this.rolls, rng);
+    for (let i = 0; i < rolls; i++) {
+      const entry = this.pickEntry(context, rng);
+      if (entry) {
+        drops.push(...this.resolveEntry(entry, context, rng, depth));
+      }
+    }
+    
+    return drops;
+  }
+
+  pickEntry(context, rng) {
+    const eligible = this.entries.filter(entry => LootTable.checkConditions(entry.conditions, context));
+    const totalWeight = eligible.reduce((sum, entry) => sum + (entry.weight !== undefined ? entry.weight : 1), 0);
+    
+    let roll = rng.next() * totalWeight;
+    for (const entry of eligible) {
+      roll -= entry.weight !== undefined ? entry.weight : 1;
+      if (roll < 0) return entry;
+    }
+    
+    return null;
+  }
+
+  resolveEntry(entry, context, rng, depth) {
+    if (entry.table) {
+      const table = LootTable.resolve(entry.table);
+      return table ? table.roll({ ...context, rng }, depth + 1) : [];
+    }
+    
+    if (!entry.item) {
+      return [];
+    }
+    
+    const item = typeof entry.item === 'string' ? ItemDatabase.create(entry.item) : { ...entry.item };
+    const quantity = LootTable.rollRange(entry.quantity, rng);
+    
+    return item && quantity > 0 ? [{ item, quantity }] : [];
+  }
+
+  /**
+   * Roll the table straight into a character's inventory (chests, pickups).
+   * Drops that don't fit are returned as overflow so they can be left on the ground.
+   */
+  deposit(character, context = {}) {
+    const drops = this.roll({ character, ...context });
+    const result = { items: [], overflow: [] };
+    
+    drops.forEach(drop => {
+      if (character.inventory.addItem(drop.item, drop.quantity)) {
+        result.items.push(drop);
+      } else {
+        result.overflow.push(drop);
+      }
+    });
+    
+    return result;
+  }
+}
+
+LootTable.registry = new Map();
+
+// ============================================================================
+// COMBAT SYSTEM
+// ============================================================================
+
+class CombatSystem {
+  /**
+   * Combat rolls come from the engine's 'combat' stream so a seed reproduces a fight
+   */
+  static getRNG(character) {
+    return character && character.engine ? character.engine.rng.stream('combat') : fallbackRNG;
+  }
+
+  static calculateDamage(attacker, defender, baseMultiplier = 1, rng = this.getRNG(attacker)) {
+    const attackPower = attacker.calculateTotalAttack() * baseMultiplier;
+    const defenseReduction = defender.calculateTotalDefense() * 0.5;
+    const variance = rng.next() * 0.2 - 0.1; // ±10% variance
+    
+    let damage = Math.max(1, (attackPower - defenseReduction) * (1 + variance));
+    
+    return Math.round(damage);
+  }
+
+  static performAttack(attacker, defender, rng = this.getRNG(attacker)) {
+    const hitChance = Math.min(0.95, 0.5 + (attacker.getStat('dexterity') - defender.getStat('dexterity')) * 0.01);
+    
+    if (rng.next() > hitChance) {
+      return {
+        hit: false,
+        damage: 0,
+        critical: false
+      };
+    }
+    
+    const isCritical = rng.next() < attacker.getStat('critChance');
+    const multiplier = isCritical ? 1.5 : 1;
+    const damage = this.calculateDamage(attacker, defender, multiplier, rng);
+    
+    defender.takeDamage(damage);
+    
+    return {
+      hit: true,
+      damage: damage,
+      critical: isCritical
+    };
+  }
+
+  static calculateExperienceReward(defeatedCharacter, level = 1) {
+    const baseExp = 50;
+    const levelBonus = baseExp * (defeatedCharacter.level - 1) * 1.5;
+    return Math.round((baseExp + levelBonus) * (1 + level * 0.1));
+  }
+}
+
+// ============================================================================
+// SKILL SYSTEM
+// ============================================================================
+
+/**
+ * Data-defined skill. Definitions look like:
+ * {
+ *   id: 'fireball', name: 'Fireball',
+ *   cost: { mana: 10 }, cooldown: 3, castTime: 1,
+ *   target: 'single' | 'self' | 'ally' | 'area', radius: 120,
+ *   side: 'allies' | 'enemies',
+ *   effects: [
+ *     { type: 'damage', multiplier: 1.5 } | { type: 'damage', amount: 20, spellPower: 0.8 },
+ *     { type: 'heal', amount: 25, spellPower: 0.5 },
+ *     { type: 'status', effect: { name: 'burn', duration: 3 } }
+ *   ]
+ * }
+ * spellPower adds that fraction of the caster's spellPower stat to the amount.
+ * `side` is who area skills land on; it defaults to 'allies' for skills that
+ * only heal and 'enemies' otherwise, so set it on buffs. 'ally' skills only
+ * take targets on the caster's side (see Skill.isAlly()).
+ * Status effects may be a registered effect name or a definition.
+ * Cooldowns and cast times are in seconds; in battles a turn counts as one second.
+ */
+class Skill {
+  constructor(definition = {}) {
+    this.id = definition.id;
+    this.name = definition.name || definition.id;
+    this.description = definition.description || '';
+    this.cost = { mana: 0, health: 0, ...definition.cost };
+    this.cooldown = definition.cooldown || 0;
+    this.castTime = definition.castTime || 0;
+    this.target = definition.target || 'single';
+    this.radius = definition.radius || 100;
+    this.effects = definition.effects || [];
+    this.side = definition.side || 
+      (this.effects.length > 0 && this.effects.every(effect => effect.type === 'heal') ? 'allies' : 'enemies');
+  }
+
+  static register(definition) {
+    const skill = definition instanceof Skill ? definition : new Skill(definition);
+    Skill.registry.set(skill.id, skill);
+    return skill;
+  }
+
+  static get(skillId) {
+    return Skill.registry.get(skillId) || null;
+  }
+
+  /**
+   * Accept a registered id, a Skill or a raw definition
+   */
+  static resolve(skill) {
+    if (typeof skill === 'string') {
+      return Skill.get(skill);
+    }
+    
+    return skill instanceof Skill ? skill : new Skill(skill);
+  }
+
+  canAfford(caster) {
+    // Health costs may never be lethal
+    return caster.mana >= this.cost.mana && 
+      (this.cost.health === 0 || caster.health > this.cost.health);
+  }
+
+  payCost(caster) {
+    caster.mana -= this.cost.mana;
+    caster.health -= this.cost.health;
+  }
+
+  /**
+   * Whether a target is on the caster's side: the same battle side, else the
+   * same collider layer. Without either only the caster counts.
+   */
+  static isAlly(caster, target, battle = null) {
+    if (target === caster) return true;
+    
+    if (battle) {
+      const casterCombatant = battle.getCombatant(caster);
+      const targetCombatant = battle.getCombatant(target);
+      return !!casterCombatant && !!targetCombatant && casterCombatant.side === targetCombatant.side;
+    }
+    
+    const casterCollider = caster.getComponent ? caster.getComponent('collider') : null;
+    const targetCollider = target.getComponent ? target.getComponent('collider') : null;
+    return !!casterCollider && !!targetCollider && casterCollider.layer === targetCollider.layer;
+  }
+
+  /**
+   * Work out who the skill lands on from the requested targets and its target rule
+   */
+  resolveTargets(caster, targets = [], context = {}) {
+    const battle = context.battle;
+    const living = targets.filter(t => t && t.isAlive);
+    
+    switch (this.target) {
+      case 'self':
+        return [caster];
+        
+      case 'ally': {
+        if (living.length === 0) return [caster];
+        
+        // Requested targets on the other side are refused, not retargeted
+        const ally = living.find(t => Skill.isAlly(caster, t, battle));
+        return ally ? [ally] : [];
+      }
+        
+      case 'area': {
+        if (battle) {
+          const combatant = battle.getCombatant(caster);
+          const side = this.side === 'allies' ? 
+            battle.getActive(combatant.side) : 
+            battle.getOpponents(combatant);
+          return side.map(c => c.character);
+        }
+        
+        // Real-time: everyone on the skill's side around the first target, or around the caster
+        const center = living[0] || caster;
+        const engine = caster.engine;
+        const wantsAllies = this.side === 'allies';
+        if (!engine) return living.filter(t => Skill.isAlly(caster, t) === wantsAllies);
+        
+        const inRange = [];
+        engine.entities.forEach(entity => {
+          if (entity instanceof Character && entity.isAlive &&
+              Skill.isAlly(caster, entity) === wantsAllies &&
+              Math.hypot(entity.x - center.x, entity.y - center.y) <= this.radius) {
+            inRange.push(entity);
+          }
+        });
+        return inRange;
+      }
+      
+      default: {
+        const target = living.find(t => t !== caster);
+        if (target) return [target];
+        
+        if (battle) {
+          const opponents = battle.getOpponents(battle.getCombatant(caster));
+          return opponents.length > 0 ? [battle.rng.pick(opponents).character] : [];
+        }
+        return [];
+      }
+    }
+  }
+
+  scaleAmount(caster, effect) {
+    return (effect.amount || 0) + (effect.spellPower || 0) * caster.getStat('spellPower');
+  }
+
+  apply(caster, targets, context = {}) {
+    const rng = context.rng || CombatSystem.getRNG(caster);
+    
+    return targets.map(target => {
+      const result = { target, damage: 0, healed: 0, statusEffects: [] };
+      
+      this.effects.forEach(effect => {
+        switch (effect.type) {
+          case 'damage': {
+            if (!target.isAlive) break;
+            const damage = effect.amount !== undefined || effect.spellPower ?
+              Math.round(this.scaleAmount(caster, effect)) :
+              CombatSystem.calculateDamage(caster, target, effect.multiplier || 1, rng);
+            target.takeDamage(damage);
+            result.damage += damage;
+            break;
+          }
+            
+          case 'heal': {
+            if (!target.isAlive) break;
+            const before = target.health;
+            target.heal(Math.round(this.scaleAmount(caster, effect)));
+            result.healed += target.health - before;
+            break;
+          }
+            
+          case 'status':
+            if (target.addStatusEffect(effect.effect)) {
+              result.statusEffects.push(effect.effect.name || effect.effect);
+            }
+            break;
+            
+          default:
+            console.warn(`Unknown skill effect type: ${effect.type}`);
+        }
+      });
+      
+      return result;
+    });
+  }
+}
+
+Skill.registry = new Map();
+
+// ============================================================================
+// BATTLE SYSTEM
+// ============================================================================
+
+// ATB gauge value at which a combatant gets its turn
+const ATB_THRESHOLD = 100;
+
+/**
+ * Turn-based encounter controller built on CombatSystem.
+ * Turn order comes from an ATB gauge filled by attack speed and dexterity.
+ * Player-controlled combatants wait for submitAction(); everyone else acts
+ * through their controller (or the default AI) as soon as their turn starts.
+ * A combatant's skill cooldowns and status effects advance one second per turn.
+ */
+class Battle {
+  constructor(engine, config = {}) {
+    this.engine = engine;
+    this.id = config.id || `battle_${Date.now()}`;
+    this.combatants = [];
+    this.state = 'idle'; // idle | active | victory | defeat | fled
+    this.turn = 0;
+    this.currentActor = null;
+    this.loot = config.loot || [];
+    this.lootTable = config.lootTable || null;
+    this.canFlee = config.canFlee !== undefined ? config.canFlee : true;
+    this.rewards = null;
+    this.rng = config.rng || (engine ? engine.rng.stream('combat') : fallbackRNG);
+    
+    this.actionHandlers = {
+      attack: this.resolveAttack,
+      skill: this.resolveSkill,
+      item: this.resolveItem,
+      defend: this.resolveDefend,
+      flee: this.resolveFlee
+    };
+  }
+
+  emit(eventName, data = {}) {
+    if (this.engine) {
+      this.engine.eventBus.emit(eventName, { battle: this, ...data });
+    }
+  }
+
+  /**
+   * Add a character to the battle
+   * @param {string} side - 'party' or 'enemy'
+   * @param {Object} options - controller ('player', 'ai' or a function returning an action), loot
+   */
+  addCombatant(character, side = 'enemy', options = {}) {
+    const combatant = {
+      character,
+      side,
+      controller: options.controller || (side === 'party' ? 'player' : 'ai'),
+      loot: options.loot || [],
+      lootTable: options.lootTable || null,
+      gauge: 0,
+      defending: false,
+      defeated: false,
+      fled: false
+    };
+    
+    this.combatants.push(combatant);
+    return combatant;
+  }
+
+  getCombatant(character) {
+    return this.combatants.find(c => c.character === character || c.character.id === character);
+  }
+
+  getActive(side) {
+    return this.combatants.filter(c => 
+      c.side === side && !c.fled && c.character.isAlive
+    );
+  }
+
+  getOpponents(combatant) {
+    return this.getActive(combatant.side === 'party' ? 'enemy' : 'party');
+  }
+
+  getSpeed(combatant) {
+    const character = combatant.character;
+    return character.getAttackSpeed() * (1 + character.getStat('dexterity') / 100);
+  }
+
+  start() {
+    if (this.state !== 'idle') {
+      console.warn(`Battle '${this.id}' has already started`);
+      return false;
+    }
+    
+    if (this.getActive('party').length === 0 || this.getActive('enemy').length === 0) {
+      console.warn(`Battle '${this.id}' needs at least one combatant per side`);
+      return false;
+    }
+    
+    this.state = 'active';
+    this.combatants.forEach(c => {
+      c.gauge = 0;
+      c.character.isInCombat = true;
+    });
+    
+    this.emit('battle:started', { combatants: this.combatants });
+    return true;
+  }
+
+  /**
+   * Fill ATB gauges until someone is ready and return that combatant
+   */
+  advanceGauges() {
+    const active = this.combatants.filter(c => !c.fled && c.character.isAlive);
+    
+    let next = null;
+    let timeToReady = Infinity;
+    active.forEach(c => {
+      const time = Math.max(0, ATB_THRESHOLD - c.gauge) / this.getSpeed(c);
+      if (time < timeToReady) {
+        timeToReady = time;
+        next = c;
+      }
+    });
+    
+    active.forEach(c => {
+      c.gauge += this.getSpeed(c) * timeToReady;
+    });
+    
+    return next;
+  }
+
+  /**
+   * Preview upcoming turns without advancing the battle
+   */
+  getTurnOrder(count = 5) {
+    const saved = this.combatants.map(c => c.gauge);
+    const order = [];
+    
+    for (let i = 0; i < count; i++) {
+      const next = this.advanceGauges();
+      if (!next) break;
+      next.gauge -= ATB_THRESHOLD;
+      order.push(next.character);
+    }
+    
+    this.combatants.forEach((c, i) => {
+      c.gauge = saved[i];
+    });
+    
+    return order;
+  }
+
+  /**
+   * Start the next turn. AI turns are resolved immediately; for player
+   * turns the actor is returned and the battle waits for submitAction().
+   */
+  nextTurn() {
+    if (this.state !== 'active') return null;
+    if (this.currentActor) return this.currentActor;
+    
+    const actor = this.advanceGauges();
+    if (!actor) return null;
+    
+    actor.gauge -= ATB_THRESHOLD;
+    this.turn++;
+    this.clearDefend(actor);
+    actor.character.tickSkillCooldowns(1);
+    actor.character.updateStatusEffects(1);
+    
+    // Damage over time can finish the actor off before it gets to act
+    if (!actor.character.isAlive) {
+      this.checkOutcome();
+      return null;
+    }
+    
+    this.currentActor = actor;
+    
+    this.emit('battle:turnStarted', { actor: actor.character, turn: this.turn });
+    
+    if (actor.controller !== 'player') {
+      this.performAction(this.chooseAction(actor));
+    }
+    
+    return actor;
+  }
+
+  /**
+   * Run turns until a player-controlled combatant has to act or the battle ends
+   */
+  run(maxTurns = 1000) {
+    for (let i = 0; i < maxTurns && this.state === 'active'; i++) {
+      this.nextTurn();
+      if (this.currentActor) break;
+    }
+    
+    return this.state;
+  }
+
+  chooseAction(combatant) {
+    if (typeof combatant.controller === 'function') {
+      return combatant.controller(combatant.character, this);
+    }
+    
+    return { type: 'attack', target: this.rng.pick(this.getOpponents(combatant)).character };
+  }
+
+  submitAction(action) {
+    if (this.state !== 'active' || !this.currentActor) {
+      console.warn('No combatant is waiting for an action');
+      return null;
+    }
+    
+    return this.performAction(action);
+  }
+
+  performAction(action) {
+    const actor = this.currentActor;
+    const handler = action && this.actionHandlers[action.type];
+    
+    if (!handler) {
+      console.warn(`Unknown battle action: ${action && action.type}`);
+      if (actor.controller === 'player') return null;
+      
+      // An AI that picks nothing usable loses its turn instead of stalling the battle
+      const result = { success: false, reason: 'unknownAction' };
+      this.currentActor = null;
+      this.emit('battle:actionFailed', { actor: actor.character, action, result });
+      this.checkOutcome();
+      return result;
+    }
+    
+    const result = handler.call(this, actor, action);
+    
+    // A failed action (no mana, missing item...) keeps the turn open for players
+    if (!result.success && actor.controller === 'player') {
+      this.emit('battle:actionFailed', { actor: actor.character, action, result });
+      return result;
+    }
+    
+    this.currentActor = null;
+    this.emit('battle:actionPerformed', { actor: actor.character, action, result });
+    this.checkOutcome();
+    
+    return result;
+  }
+
+  resolveTarget(actor, target) {
+    const combatant = target ? this.getCombatant(target) : null;
+    
+    if (combatant && !combatant.fled && combatant.character.isAlive) {
+      return combatant;
+    }
+    
+    // Retarget onto a random living opponent
+    const opponents = this.getOpponents(actor);
+    return opponents.length > 0 ? this.rng.pick(opponents) : null;
+  }
+
+  resolveAttack(actor, action) {
+    const target = this.resolveTarget(actor, action.target);
+    if (!target) {
+      return { success: false, reason: 'noTarget' };
+    }
+    
+    const attack = CombatSystem.performAttack(actor.character, target.character, this.rng);
+    return { success: true, target: target.character, ...attack };
+  }
+
+  resolveSkill(actor, action) {
+    const targets = [].concat(action.targets || action.target || []);
+    
+    // Skills resolve instantly in battle; cast time only applies in real-time play
+    return actor.character.useSkill(action.skillId, targets, {
+      battle: this,
+      rng: this.rng,
+      instant: true
+    });
+  }
+
+  resolveItem(actor, action) {
+    const inventory = actor.character.inventory;
+    const item = inventory.getItem(action.itemId);
+    if (!item) {
+      return { success: false, reason: 'missingItem' };
+    }
+    
+    const targetCombatant = action.target ? this.getCombatant(action.target) : actor;
+    const target = targetCombatant ? targetCombatant.character : actor.character;
+    
+    if (item.heal) {
+      target.heal(item.heal);
+    }
+    if (item.mana) {
+      target.mana = Math.min(target.mana + item.mana, target.maxMana);
+    }
+    
+    inventory.removeItem(item.id, 1);
+    return { success: true, item, target };
+  }
+
+  resolveDefend(actor) {
+    // Doubles defense until the combatant's next turn
+    actor.defending = true;
+    actor.character.statBlock.addModifier({
+      stat: 'defense',
+      type: 'multiply',
+      value: 2,
+      source: 'battle:defend'
+    });
+    return { success: true };
+  }
+
+  resolveFlee(actor) {
+    if (!this.canFlee && actor.side === 'party') {
+      return { success: false, reason: 'cannotFlee' };
+    }
+    
+    const opponents = this.getOpponents(actor);
+    const opponentDex = opponents.reduce((sum, c) => sum + c.character.getStat('dexterity'), 0) /
+      Math.max(1, opponents.length);
+    const chance = Math.max(0.1, Math.min(0.95, 0.5 + (actor.character.getStat('dexterity') - opponentDex) * 0.02));
+    
+    if (!this.rng.chance(chance)) {
+      // Failing to flee still costs the turn
+      return { success: true, escaped: false };
+    }
+    
+    // One party member escaping ends the battle for the whole party
+    const fleeing = actor.side === 'party' ? this.getActive('party') : [actor];
+    fleeing.forEach(c => {
+      c.fled = true;
+    });
+    
+    return { success: true, escaped: true };
+  }
+
+  clearDefend(combatant) {
+    if (combatant.defending) {
+      combatant.character.statBlock.removeModifiersFromSource('battle:defend');
+      combatant.defending = false;
+    }
+  }
+
+  checkOutcome() {
+    this.combatants.forEach(c => {
+      if (!c.defeated && !c.character.isAlive) {
+        c.defeated = true;
+        this.emit('battle:combatantDefeated', { combatant: c.character, side: c.side });
+      }
+    });
+    
+    if (this.getActive('party').length === 0) {
+      const partyFled = this.combatants.some(c => c.side === 'party' && c.fled);
+      this.end(partyFled ? 'fled' : 'defeat');
+    } else if (this.getActive('enemy').length === 0) {
+      this.end('victory');
+    }
+  }
+
+  end(outcome) {
+    if (this.state !== 'active') return;
+    
+    this.state = outcome;
+    this.currentActor = null;
+    
+    this.combatants.forEach(c => {
+      this.clearDefend(c);
+      c.character.isInCombat = false;
+    });
+    
+    if (outcome === 'victory') {
+      this.rewards = this.awardRewards();
+    }
+    
+    this.emit(`battle:${outcome}`, { rewards: this.rewards });
+    this.emit('battle:ended', { outcome, rewards: this.rewards });
+  }
+
+  /**
+   * Grant XP for every defeated enemy to each surviving party member, roll the
+   * battle's and defeated enemies' loot tables, and deposit all loot into the
+   * first party inventory with room for it
+   */
+  awardRewards() {
+    const party = this.getActive('party');
+    const defeated = this.combatants.filter(c => c.side === 'enemy' && c.defeated);
+    const rewards = { experience: {}, loot: [], overflow: [] };
+    
+    party.forEach(member => {
+      const character = member.character;
+      const experience = defeated.reduce((sum, enemy) => 
+        sum + CombatSystem.calculateExperienceReward(enemy.character, character.level), 0);
+      
+      rewards.experience[character.id] = experience;
+      character.addExperience(experience);
+    });
+    
+    const drops = defeated.reduce((all, enemy) => all.concat(enemy.loot), this.loot.slice());
+    const context = { character: party[0].character, engine: this.engine };
+    
+    [this.lootTable, ...defeated.map(enemy => enemy.lootTable)].forEach(tableRef => {
+      const table = tableRef && LootTable.resolve(tableRef);
+      if (table) {
+        drops.push(...table.roll(context));
+      }
+    });
+    
+    drops.forEach(drop => {
+      const quantity = drop.quantity || 1;
+      const recipient = party.find(member => member.character.inventory.addItem(drop.item, quantity));
+      
+      if (recipient) {
+        rewards.loot.push({ item: drop.item, quantity, character: recipient.character });
+      } else {
+        rewards.overflow.push({ item: drop.item, quantity });
+      }
+    });
+    
+    return rewards;
+  }
+}
+
+// ============================================================================
+// QUEST SYSTEM
+// ============================================================================
+
+/**
+ * Tracks quests for the player (engine.gameState.player). State lives in
+ * engine.gameState.quests as plain records so it serializes with the rest of
+ * the game state. Definitions look like:
+ * {
+ *   id: 'rat-problem', name: 'Rat Problem',
+ *   prerequisites: { quests: ['arrival'], level: 2 },
+ *   stages: [
+ *     { objectives: [
+ *       { id: 'rats', type: 'kill', tag: 'rat', count: 5 },
+ *       { id: 'tails', type: 'collect', item: 'rat-tail', count: 3 }
+ *     ] },
+ *     { objectives: [{ type: 'talk', npc: 'innkeeper' }] }
+ *   ],
+ *   rewards: { experience: 100, gold: 50, items: [{ item: 'potion', quantity: 2 }] }
+ * }
+ * Objective types: kill (tag or target id), collect (item id, counts what the
+ * player holds), reach (area id, from 'area:entered') and talk (npc id, from
+ * 'dialogue:started').
+ */
+class QuestManager {
+  constructor(engine) {
+    this.engine = engine;
+    this.unsubscribers = [];
+  }
+
+  static register(definition) {
+    QuestManager.registry.set(definition.id, definition);
+    return definition;
+  }
+
+  static getDefinition(questId) {
+    return QuestManager.registry.get(questId) || null;
+  }
+
+  init() {
+    const eventBus = this.engine.eventBus;
+    
+    this.unsubscribers.push(
+      // Low priority, so a death vetoed by a shield or revive isn't counted
+      eventBus.on('character:died', ({ character }) => {
+        this.reportProgress('kill', objective => 
+          (objective.tag && character.hasTag(objective.tag)) || objective.target === character.id
+        );
+      }, { priority: -100 }),
+      eventBus.on('inventory:changed', ({ character }) => {
+        if (character === this.engine.gameState.player) {
+          this.refreshCollectObjectives();
+        }
+      }),
+      eventBus.on('area:entered', ({ area }) => {
+        this.reportProgress('reach', objective => objective.area === area);
+      }),
+      eventBus.on('dialogue:started', ({ npcId }) => {
+        this.reportProgress('talk', objective => objective.npc === npcId);
+      })
+    );
+  }
+
+  destroy() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  get states() {
+    return this.engine.gameState.quests;
+  }
+
+  getState(questId) {
+    return this.states.find(state => state.id === questId) || null;
+  }
+
+  /**
+   * 'active', 'completed', 'failed', or null if the quest was never started
+   */
+  getStatus(questId) {
+    const state = this.getState(questId);
+    return state ? state.status : null;
+  }
+
+  getActiveQuests() {
+    return this.states.filter(state => state.status === 'active');
+  }
+
+  getObjectiveKey(objective, stageIndex, objectiveIndex) {
+    return objective.id || `${stageIndex}:${objectiveIndex}`;
+  }
+
+  canStart(questId) {
+    const definition = QuestManager.getDefinition(questId);
+    if (!definition || this.getState(questId)) return false;
+    
+    const prerequisites = Array.isArray(definition.prerequisites) ? 
+      { quests: definition.prerequisites } : (definition.prerequisites || {});
+    const player = this.engine.gameState.player;
+    
+    if (prerequisites.level && (!player || player.level < prerequisites.level)) {
+      return false;
+    }
+    
+    return (prerequisites.quests || []).every(id => this.getStatus(id) === 'completed');
+  }
+
+  startQuest(questId) {
+    if (!this.canStart(questId)) {
+      console.warn(`Quest '${questId}' cannot be started`);
+      return false;
+    }
+    
+    const state = { id: questId, status: 'active', stage: 0, progress: {} };
+    this.states.push(state);
+    
+    this.engine.eventBus.emit('quest:started', { quest: QuestManager.getDefinition(questId), state });
+    
+    // The player may already hold items for collect objectives
+    this.refreshCollectObjectives();
+    return true;
+  }
+
+  failQuest(questId) {
+    const state = this.getState(questId);
+    if (!state || state.status !== 'active') return false;
+    
+    state.status = 'failed';
+    this.engine.eventBus.emit('quest:failed', { quest: QuestManager.getDefinition(questId), state });
+    return true;
+  }
+
+  /**
+   * Apply progress to every matching objective in active quests' current stages.
+   * `matches` filters objectives; `amount` is added, or `value` sets progress outright.
+   */
+  reportProgress(type, matches, amount = 1, value = null) {
+    this.getActiveQuests().forEach(state => {
+      const definition = QuestManager.getDefinition(state.id);
+      const stage = definition && definition.stages[state.stage];
+      if (!stage) return;
+      
+      let changed = false;
+      stage.objectives.forEach((objective, index) => {
+        if (objective.type !== type || !matches(objective)) return;
+        
+        const key = this.getObjectiveKey(objective, state.stage, index);
+        const required = objective.count || 1;
+        const previous = state.progress[key] || 0;
+        const next = Math.min(required, value !== null ? value(objective) : previous + amount);
+        
+        if (next === previous) return;
+        
+        state.progress[key] = next;
+        changed = true;
+        
+        this.engine.eventBus.emit('quest:progress', {
+          quest: definition,
+          state,
+          objective,
+          progress: next,
+          required
+        });
+      });
+      
+      if (changed) {
+        this.checkStage(state);
+      }
+    });
+  }
+
+  refreshCollectObjectives() {
+    const player = this.engine.gameState.player;
+    if (!player) return;
+    
+    this.reportProgress('collect', () => true, 0, objective => player.inventory.countItem(objective.item));
+  }
+
+  isStageComplete(state) {
+    const stage = QuestManager.getDefinition(state.id).stages[state.stage];
+    
+    return stage.objectives.every((objective, index) => {
+      const key = this.getObjectiveKey(objective, state.stage, index);
+      return (state.progress[key] || 0) >= (objective.count || 1);
+    });
+  }
+
+  checkStage(state) {
+    if (state.status !== 'active' || !this.isStageComplete(state)) return;
+    
+    const definition = QuestManager.getDefinition(state.id);
+    this.engine.eventBus.emit('quest:stageCompleted', { quest: definition, state, stage: state.stage });
+    
+    state.stage++;
+    
+    if (state.stage >= definition.stages.length) {
+      this.completeQuest(state);
+    } else {
+      this.refreshCollectObjectives();
+    }
+  }
+
+  completeQuest(state) {
+    const definition = QuestManager.getDefinition(state.id);
+    const rewards = definition.rewards || {};
+    const player = this.engine.gameState.player;
+    
+    state.status = 'completed';
+    
+    if (player) {
+      if (rewards.experience) {
+        player.addExperience(rewards.experience);
+      }
+      
+      (rewards.items || []).forEach(reward => {
+        if (!player.inventory.addItem(reward.item, reward.quantity || 1)) {
+          console.warn(`No room for quest reward '${reward.item.id || reward.item}'`);
+        }
+      });
+    }
+    
+    this.engine.gameState.gold += rewards.gold || 0;
+    this.engine.eventBus.emit('quest:completed', { quest: definition, state, rewards });
+  }
+
+  serialize() {
+    return JSON.parse(JSON.stringify(this.states));
+  }
+
+  restore(states) {
+    this.engine.gameState.quests = JSON.parse(JSON.stringify(states || []));
+  }
+}
+
+QuestManager.registry = new Map();
+
+// ============================================================================
+// DIALOGUE SYSTEM
+// ============================================================================
+
+/**
+ * A running conversation over a data-defined dialogue graph. Definitions look like:
+ * {
+ *   id: 'innkeeper', npc: 'innkeeper', start: 'greet',
+ *   nodes: {
+ *     greet: {
+ *       speaker: 'Innkeeper', text: 'Rats again...',
+ *       choices: [
+ *         { text: 'I can help.', next: 'accept', actions: [{ type: 'startQuest', quest: 'rats' }] },
+ *         { text: 'Here are the tails.', next: 'thanks',
+ *           conditions: [{ type: 'item', item: 'rat-tail', quantity: 3 }] },
+ *         { text: 'Bye.' }
+ *       ]
+ *     },
+ *     route: { branches: [{ conditions: [{ type: 'flag', flag: 'metKing' }], next: 'royal' }], next: 'greet' },
+ *     accept: { speaker: 'Innkeeper', text: 'Bless you.', next: 'greet' }
+ *   }
+ * }
+ * Conditions (all must pass; add not: true to invert): quest (quest, status),
+ * item (item, quantity), stat (stat, min, max), level (min, max), flag (flag, value).
+ * Actions: giveItem, takeItem (item, quantity), startQuest (quest), setFlag (flag, value),
+ * giveGold (amount), event (name, data). Flags are DataManager keys.
+ *
+ * The UI renders 'dialogue:node' events and answers with choose() or advance();
+ * tests can drive the same calls headlessly.
+ */
+class Dialogue {
+  constructor(engine, definition, context = {}) {
+    this.engine = engine;
+    this.definition = typeof definition === 'string' ? Dialogue.getDefinition(definition) : definition;
+    this.npc = context.npc || null;
+    this.currentNodeId = null;
+    this.choices = [];
+    this.isActive = false;
+    this.history = [];
+  }
+
+  static register(definition) {
+    Dialogue.registry.set(definition.id, definition);
+    return definition;
+  }
+
+  static getDefinition(dialogueId) {
+    return Dialogue.registry.get(dialogueId) || null;
+  }
+
+  get currentNode() {
+    return this.currentNodeId ? this.definition.nodes[this.currentNodeId] : null;
+  }
+
+  get player() {
+    return this.engine.gameState.player;
+  }
+
+  emit(eventName, data = {}) {
+    this.engine.eventBus.emit(eventName, { dialogue: this, ...data });
+  }
+
+  start() {
+    if (!this.definition) {
+      console.error('Dialogue definition not found');
+      return false;
+    }
+    
+    this.isActive = true;
+    this.emit('dialogue:started', { 
+      dialogueId: this.definition.id, 
+      npcId: this.definition.npc || (this.npc && this.npc.id) 
+    });
+    this.enterNode(this.definition.start);
+    
+    return this.isActive;
+  }
+
+  enterNode(nodeId) {
+    const node = nodeId ? this.definition.nodes[nodeId] : null;
+    
+    if (!node) {
+      if (nodeId) {
+        console.warn(`Dialogue node '${nodeId}' not found in '${this.definition.id}'`);
+      }
+      this.end();
+      return;
+    }
+    
+    // Branch nodes route on conditions without showing anything
+    if (node.branches) {
+      const branch = node.branches.find(b => this.checkConditions(b.conditions));
+      this.enterNode(branch ? branch.next : node.next);
+      return;
+    }
+    
+    this.currentNodeId = nodeId;
+    this.history.push(nodeId);
+    this.runActions(node.actions);
+    
+    this.choices = (node.choices || []).filter(choice => this.checkConditions(choice.conditions));
+    
+    this.emit('dialogue:node', {
+      nodeId,
+      node,
+      speaker: node.speaker || null,
+      text: node.text || '',
+      choices: this.choices
+    });
+  }
+
+  /**
+   * Pick one of the currently available choices
+   */
+  choose(index) {
+    const choice = this.choices[index];
+    
+    if (!this.isActive || !choice) {
+      console.warn(`Invalid dialogue choice: ${index}`);
+      return false;
+    }
+    
+    this.emit('dialogue:choiceSelected', { nodeId: this.currentNodeId, choice, index });
+    this.runActions(choice.actions);
+    this.enterNode(choice.next);
+    
+    return true;
+  }
+
+  /**
+   * Continue from a node without choices
+   */
+  advance() {
+    if (!this.isActive) return false;
+    
+    if (this.choices.length > 0) {
+      console.warn('Dialogue node is waiting for a choice');
+      return false;
+    }
+    
+    this.enterNode(this.currentNode.next);
+    return true;
+  }
+
+  end() {
+    if (!this.isActive) return;
+    
+    this.isActive = false;
+    this.currentNodeId = null;
+    this.choices = [];
+    this.emit('dialogue:ended', { dialogueId: this.definition.id, history: this.history });
+  }
+
+  checkConditions(conditions = []) {
+    return conditions.every(condition => this.checkCondition(condition) !== !!condition.not);
+  }
+
+  checkCondition(condition) {
+    const player = this.player;
+    
+    switch (condition.type) {
+      case 'quest':
+        return this.engine.questManager.getStatus(condition.quest) === (condition.status || 'completed');
+        
+      case 'item':
+        return !!player && player.inventory.hasItem(condition.item, condition.quantity || 1);
+        
+      case 'stat': {
+        const value = player ? player.getStat(condition.stat) : 0;
+        return value >= (condition.min !== undefined ? condition.min : -Infinity) &&
+          value <= (condition.max !== undefined ? condition.max : Infinity);
+      }
+        
+      case 'level': {
+        const level = player ? player.level : 0;
+        return level >= (condition.min || 0) && level <= (condition.max || Infinity);
+      }
+        
+      case 'flag': {
+        const value = this.engine.dataManager.get(condition.flag);
+        return condition.value !== undefined ? value === condition.value : !!value;
+      }
+        
+      default:
+        console.warn(`Unknown dialogue condition: ${condition.type}`);
+        return false;
+    }
+  }
+
+  runActions(actions = []) {
+    const player = this.player;
+    
+    actions.forEach(action => {
+      switch (action.type) {
+        case 'giveItem':
+          if (!player || !player.inventory.addItem(action.item, action.quantity || 1)) {
+            console.warn(`Could not give item '${action.item}'`);
+          }
+          break;
+          
+        case 'takeItem':
+          if (player) {
+            player.inventory.removeItem(action.item, action.quantity || 1);
+          }
+          break;
+          
+        case 'startQuest':
+          this.engine.questManager.startQuest(action.quest);
+          break;
+          
+        case 'setFlag':
+          this.engine.dataManager.set(action.flag, action.value !== undefined ? action.value : true);
+          break;
+          
+        case 'giveGold':
+          this.engine.gameState.gold += action.amount || 0;
+          break;
+          
+        case 'event':
+          this.engine.eventBus.emit(action.name, { dialogue: this, ...action.data });
+          break;
+          
+        default:
+          console.warn(`Unknown dialogue action: ${action.type}`);
+      }
+    });
+  }
+}
+
+Dialogue.registry = new Map();
+
+// ============================================================================
+// EVENT SYSTEM
+// ============================================================================
+
+/**
+ * Publish/subscribe hub. Names are 'namespace:event'; a listener may subscribe
+ * to a pattern where '*' matches anything ('character:*', '*'). Listeners run
+ * highest priority first, then in subscription order, and get (data, event):
+ * event.cancel() stops the remaining listeners and makes emit() return false,
+ * which emitters of vetoable events (e.g. 'character:died') check. Listeners
+ * that veto must use a positive priority, and listeners with side effects a
+ * negative one, so the veto happens before anything acts on the event.
+ */
+class EventBus {
+  constructor(config = {}) {
+    // Listener arrays are replaced, never mutated, so emit can iterate safely
+    this.events = {};
+    this.patterns = {};
+    this.nextOrder = 0;
+    
+    // Ring buffer of recent events for debugging; off when historySize is 0
+    this.historySize = 0;
+    this.history = [];
+    this.historyIndex = 0;
+    this.enableHistory(config.historySize || 0);
+  }
+
+  static isPattern(eventName) {
+    return eventName.includes('*');
+  }
+
+  static matches(pattern, eventName) {
+    let regex = EventBus.patternCache.get(pattern);
+    
+    if (!regex) {
+      regex = new RegExp('^' + pattern.split('*').map(part => 
+        part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      ).join('.*') + '$');
+      EventBus.patternCache.set(pattern, regex);
+    }
+    
+    return regex.test(eventName);
+  }
+
+  /**
+   * Subscribe to an event name or pattern
+   * @param {Object} [options] - { priority: 0, once: false }
+   * @returns {Function} Unsubscribe function
+   */
+  on(eventName, callback, options = {}) {
+    const table = EventBus.isPattern(eventName) ? this.patterns : this.events;
+    const listener = {
+      eventName,
+      callback,
+      priority: options.priority || 0,
+      once: options.once || false,
+      order: this.nextOrder++,
+      removed: false
+    };
+    
+    table[eventName] = [...(table[eventName] || []), listener]
+      .sort((a, b) => b.priority - a.priority || a.order - b.order);
+    
+    return () => this.removeListener(eventName, listener);
+  }
+
+  once(eventName, callback, options = {}) {
+    return this.on(eventName, callback, { ...options, once: true });
+  }
+
+  off(eventName, callback) {
+    const table = EventBus.isPattern(eventName) ? this.patterns : this.events;
+    (table[eventName] || [])
+      .filter(listener => listener.callback === callback)
+      .forEach(listener => this.removeListener(eventName, listener));
+  }
+
+  removeListener(eventName, listener) {
+    const table = EventBus.isPattern(eventName) ? this.patterns : this.events;
+    if (!table[eventName]) return;
+    
+    // Flag it too, so an emit already under way skips it
+    listener.removed = true;
+    table[eventName] = table[eventName].filter(l => l !== listener);
+    
+    if (table[eventName].length === 0) {
+      delete table[eventName];
+    }
+  }
+
+  /**
+   * Listeners for an event, exact and pattern subscriptions merged by priority
+   */
+  getListeners(eventName) {
+    const listeners = [...(this.events[eventName] || [])];
+    
+    Object.keys(this.patterns).forEach(pattern => {
+      if (EventBus.matches(pattern, eventName)) {
+        listeners.push(...this.patterns[pattern]);
+      }
+    });
+    
+    return listeners.sort((a, b) => b.priority - a.priority || a.order - b.order);
+  }
+
+  createEvent(eventName, data) {
+    return {
+      name: eventName,
+      data,
+      cancelled: false,
+      cancel() {
+        this.cancelled = true;
+      }
+    };
+  }
+
+  /**
+   * Call every listener for an event
+   * @returns {boolean} false if a listener cancelled the event
+   */
+  emit(eventName, data = {}) {
+    const event = this.createEvent(eventName, data);
+    
+    for (const listener of this.getListeners(eventName)) {
+      if (!this.beforeCall(listener)) continue;
+      
+      try {
+        listener.callback(data, event);
+      } catch (error) {
+        console.error(`Error in event listener for '${eventName}':`, error);
+      }
+      
+      if (event.cancelled) break;
+    }
+    
+    this.record(event);
+    return !event.cancelled;
+  }
+
+  /**
+   * Like emit, but awaits each listener in turn
+   * @returns {Promise<boolean>} false if a listener cancelled the event
+   */
+  async emitAsync(eventName, data = {}) {
+    const event = this.createEvent(eventName, data);
+    
+    for (const listener of this.getListeners(eventName)) {
+      if (!this.beforeCall(listener)) continue;
+      
+      try {
+        await listener.callback(data, event);
+      } catch (error) {
+        console.error(`Error in event listener for '${eventName}':`, error);
+      }
+      
+      if (event.cancelled) break;
+    }
+    
+    this.record(event);
+    return !event.cancelled;
+  }
+
+  /**
+   * Skip listeners removed mid-emit and drop once-listeners before they run
+   */
+  beforeCall(listener) {
+    if (listener.removed) return false;
+    
+    if (listener.once) {
+      this.removeListener(listener.eventName, listener);
+    }
+    return true;
+  }
+
+  /**
+   * A set of subscriptions that can be dropped together with clear()
+   */
+  group() {
+    return new ListenerGroup(this);
+  }
+
+  // ----- History -----
+
+  enableHistory(size) {
+    this.historySize = size;
+    this.history = [];
+    this.historyIndex = 0;
+  }
+
+  record(event) {
+    if (this.historySize <= 0) return;
+    
+    this.history[this.historyIndex] = {
+      name: event.name,
+      data: event.data,
+      cancelled: event.cancelled,
+      time: Date.now()
+    };
+    this.historyIndex = (this.historyIndex + 1) % this.historySize;
+  }
+
+  /**
+   * Recorded events, oldest first, optionally only those matching a name or pattern
+   */
+  getHistory(filter = null) {
+    const ordered = this.history.length < this.historySize ? 
+      [...this.history] : 
+      [...this.history.slice(this.historyIndex), ...this.history.slice(0, this.historyIndex)];
+    
+    return filter ? ordered.filter(entry => EventBus.matches(filter, entry.name)) : ordered;
+  }
+
+  clear(eventName) {
+    if (eventName) {
+      const table = EventBus.isPattern(eventName) ? this.patterns : this.events;
+      (table[eventName] || []).forEach(listener => {
+        listener.removed = true;
+      });
+      delete table[eventName];
+    } else {
+      [this.events, this.patterns].forEach(table => {
+        Object.values(table).forEach(listeners => listeners.forEach(listener => {
+          listener.removed = true;
+        }));
+      });
+      this.events = {};
+      this.patterns = {};
+    }
+  }
+}
+
+EventBus.patternCache = new Map();
+
+/**
+ * Subscriptions owned by one Scene or Entity, removed together when it goes away
+ */
+class ListenerGroup {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.unsubscribers = [];
+  }
+
+  on(eventName, callback, options = {}) {
+    const unsubscribe = this.eventBus.on(eventName, callback, options);
+    this.unsubscribers.push(unsubscribe);
+    return unsubscribe;
+  }
+
+  once(eventName, callback, options = {}) {
+    return this.on(eventName, callback, { ...options, once: true });
+  }
+
+  clear() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+}
+
+// ============================================================================
+// INPUT MANAGER
+// ============================================================================
+
+/**
+ * Input as named actions and axes. Bindings are source strings:
+ *   'key:KeyW'     keyboard, by KeyboardEvent.code (layout independent)
+ *   'mouse:0'      mouse button
+ *   'touch'        any finger down
+ *   'pad:0'        gamepad button (standard mapping)
+ *   'padAxis:1'    gamepad stick axis; 'padAxis:1+' / 'padAxis:1-' use one direction as a button
+ *   'virtual:jump' value fed with setSourceValue() (on-screen controls)
+ * Bindings live in contexts ('gameplay', 'menu', ...); only the context on top
+ * of the stack is read. Action states (pressed/held/released) are computed once
+ * per frame in update(). Rebinds are saved to the storage backend.
+ */
+class InputManager {
+  constructor(config = {}) {
+    this.keys = {};
+    this.mousePosition = { x: 0, y: 0 };
+    this.mouseDown = false;
+    this.touches = [];
+    
+    // Raw source values and sources that went down since the last update,
+    // so a tap shorter than a frame still registers
+    this.sources = new Map();
+    this.latched = new Set();
+    this.ignored = new Set();
+    
+    // Gamepad sources set by the last poll, zeroed when a pad stops reporting them
+    this.padSources = new Set();
+    
+    this.contexts = new Map();
+    this.definitions = new Map();
+    this.contextStack = [];
+    this.actionStates = new Map();
+    this.axisValues = new Map();
+    this.overrides = {};
+    this.capture = null;
+    
+    this.deadzone = config.deadzone !== undefined ? config.deadzone : 0.2;
+    this.eventBus = config.eventBus || null;
+    this.storage = config.storage || null;
+    this.storageKey = config.storageKey || 'input-bindings';
+    
+    Object.keys(InputManager.defaultContexts).forEach(name => {
+      this.defineContext(name, InputManager.defaultContexts[name]);
+    });
+    this.pushContext(config.context || 'gameplay');
+  }
+
+  init(target = typeof document !== 'undefined' ? document : null) {
+    // Without a target (headless) input is only fed through the handlers directly
+    if (!target) return;
+    
+    target.addEventListener('keydown', (e) => this.onKeyDown(e));
+    target.addEventListener('keyup', (e) => this.onKeyUp(e));
+    target.addEventListener('mousemove', (e) => this.onMouseMove(e));
+    target.addEventListener('mousedown', (e) => this.onMouseDown(e));
+    target.addEventListener('mouseup', (e) => this.onMouseUp(e));
+    
+    // Touch support for mobile
+    target.addEventListener('touchstart', (e) => this.onTouchStart(e));
+    target.addEventListener('touchmove', (e) => this.onTouchMove(e));
+    target.addEventListener('touchend', (e) => this.onTouchEnd(e));
+  }
+
+  // ----- Contexts and bindings -----
+
+  /**
+   * Define a context: { actions: { name: [bindings] }, axes: { name: { negative, positive, analog } } }
+   */
+  defineContext(name, definition) {
+    this.definitions.set(name, definition);
+    this.contexts.set(name, {
+      actions: { ...definition.actions },
+      axes: { ...definition.axes }
+    });
+    this.applyOverrides(name);
+  }
+
+  pushContext(name) {
+    if (!this.contexts.has(name)) {
+      console.warn(`Unknown input context: ${name}`);
+      return false;
+    }
+    
+    this.contextStack.push(name);
+    // Actions held in the old context should not fire in the new one
+    this.actionStates.clear();
+    return true;
+  }
+
+  popContext() {
+    if (this.contextStack.length <= 1) return null;
+    
+    const name = this.contextStack.pop();
+    this.actionStates.clear();
+    return name;
+  }
+
+  getContext() {
+    return this.contextStack[this.contextStack.length - 1];
+  }
+
+  getBindings(action, context = this.getContext()) {
+    const definition = this.contexts.get(context);
+    return definition && definition.actions[action] ? [...definition.actions[action]] : [];
+  }
+
+  /**
+   * Replace an action's bindings (or an axis direction, as 'moveX.positive')
+   * and persist the change
+   */
+  rebind(action, bindings, context = this.getContext()) {
+    const definition = this.contexts.get(context);
+    if (!definition) {
+      console.warn(`Unknown input context: ${context}`);
+      return false;
+    }
+    
+    const [axis, direction] = action.split('.');
+    if (direction) {
+      if (!definition.axes[axis]) return false;
+      definition.axes[axis] = { ...definition.axes[axis], [direction]: [...bindings] };
+    } else {
+      definition.actions[action] = [...bindings];
+    }
+    
+    this.overrides[context] = { ...this.overrides[context], [action]: [...bindings] };
+    this.saveBindings();
+    
+    return true;
+  }
+
+  /**
+   * Resolve with the next key, button or pad input, bound to the action.
+   * Used by rebinding menus ("press a key for Attack").
+   */
+  captureBinding(action, context = this.getContext()) {
+    if (this.capture) {
+      this.capture.resolve(null);
+    }
+    
+    return new Promise(resolve => {
+      this.capture = {
+        resolve: (source) => {
+          this.capture = null;
+          if (source) {
+            this.rebind(action, [source], context);
+          }
+          resolve(source);
+        }
+      };
+    });
+  }
+
+  cancelCapture() {
+    if (this.capture) {
+      this.capture.resolve(null);
+    }
+  }
+
+  /**
+   * Drop saved rebinds for a context (or all) and restore its definition
+   */
+  resetBindings(context = null) {
+    const contexts = context ? [context] : Object.keys(this.overrides);
+    
+    contexts.forEach(name => {
+      delete this.overrides[name];
+      if (this.definitions.has(name)) {
+        this.defineContext(name, this.definitions.get(name));
+      }
+    });
+    
+    return this.saveBindings();
+  }
+
+  applyOverrides(context) {
+    const definition = this.contexts.get(context);
+    const overrides = this.overrides[context];
+    if (!definition || !overrides) return;
+    
+    Object.keys(overrides).forEach(action => {
+      const [axis, direction] = action.split('.');
+      if (direction && definition.axes[axis]) {
+        definition.axes[axis] = { ...definition.axes[axis], [direction]: [...overrides[action]] };
+      } else if (!direction) {
+        definition.actions[action] = [...overrides[action]];
+      }
+    });
+  }
+
+  async loadBindings() {
+    if (!this.storage) return false;
+    
+    try {
+      const stored = await this.storage.read(this.storageKey);
+      if (!stored) return false;
+      
+      this.overrides = JSON.parse(stored);
+      Object.keys(this.overrides).forEach(context => this.applyOverrides(context));
+      return true;
+    } catch (error) {
+      console.warn('Could not load input bindings:', error);
+      return false;
+    }
+  }
+
+  async saveBindings() {
+    if (!this.storage) return false;
+    
+    try {
+      await this.storage.write(this.storageKey, JSON.stringify(this.overrides));
+      return true;
+    } catch (error) {
+      console.warn('Could not save input bindings:', error);
+      return false;
+    }
+  }
+
+  // ----- Per-frame state -----
+
+  update() {
+    this.pollGamepads();
+    
+    const context = this.contexts.get(this.getContext());
+    
+    Object.keys(context.actions).forEach(action => {
+      const previous = this.actionStates.get(action);
+      const wasHeld = previous ? previous.held : false;
+      const value = Math.max(0, ...context.actions[action].map(binding => this.getSourceValue(binding, true)));
+      const held = value >= 0.5;
+      
+      this.actionStates.set(action, {
+        held,
+        pressed: held && !wasHeld,
+        released: !held && wasHeld,
+        value
+      });
+      
+      if (this.eventBus && held !== wasHeld) {
+        this.eventBus.emit(held ? 'input:pressed' : 'input:released', { action, context: this.getContext() });
+      }
+    });
+    
+    Object.keys(context.axes).forEach(axis => {
+      this.axisValues.set(axis, this.computeAxis(context.axes[axis]));
+    });
+    
+    this.latched.clear();
+  }
+
+  computeAxis(axis) {
+    const digital = (axis.positive || []).some(binding => this.getSourceValue(binding, true) >= 0.5) - 
+      (axis.negative || []).some(binding => this.getSourceValue(binding, true) >= 0.5);
+    
+    // Strongest analog input wins. Gamepad sticks are rescaled to start at zero
+    // past the deadzone; virtual sources are already clean.
+    const deadzone = axis.deadzone !== undefined ? axis.deadzone : this.deadzone;
+    let analog = 0;
+    
+    (axis.analog || []).forEach(binding => {
+      let value = this.getSourceValue(binding);
+      
+      if (binding.startsWith('padAxis:')) {
+        value = Math.abs(value) <= deadzone ? 0 : 
+          Math.sign(value) * (Math.abs(value) - deadzone) / (1 - deadzone);
+      }
+      
+      if (Math.abs(value) > Math.abs(analog)) analog = value;
+    });
+    
+    return Math.max(-1, Math.min(1, digital + analog));
+  }
+
+  /**
+   * Current value of a binding; direction suffixes turn an axis into a button
+   */
+  getSourceValue(binding, includeLatched = false) {
+    const match = /^(.*?)([+-])?$/.exec(binding);
+    const source = match[1];
+    const sign = match[2];
+    
+    if (source === 'touch') {
+      return this.touches.length > 0 || (includeLatched && this.latched.has('touch')) ? 1 : 0;
+    }
+    
+    if (this.ignored.has(source)) return 0;
+    
+    let value = this.sources.get(source) || 0;
+    if (includeLatched && !value && this.latched.has(source)) {
+      value = 1;
+    }
+    
+    if (sign === '+') return Math.max(0, value);
+    if (sign === '-') return Math.max(0, -value);
+    return value;
+  }
+
+  /**
+   * Feed a raw source value; on-screen controls and tests use this directly
+   */
+  setSourceValue(source, value) {
+    const wasDown = (this.sources.get(source) || 0) !== 0;
+    
+    if (value) {
+      this.sources.set(source, value);
+      const captured = this.captureSource(source, value, wasDown);
+      if (!wasDown && !captured) {
+        this.latched.add(source);
+      }
+      // A captured stick is released once it settles back near the centre
+      if (!captured && Math.abs(value) < this.deadzone) {
+        this.ignored.delete(source);
+      }
+    } else {
+      this.sources.delete(source);
+      this.ignored.delete(source);
+    }
+  }
+
+  /**
+   * Hand a new input to a pending captureBinding(); the input is then ignored
+   * until released so it does not also trigger the action
+   */
+  captureSource(source, value, wasDown) {
+    if (!this.capture) return false;
+    
+    // Sticks count once pushed well past the deadzone; buttons when first pressed
+    if (source.startsWith('padAxis:') ? Math.abs(value) < 0.5 : wasDown) return false;
+    
+    this.ignored.add(source);
+    this.capture.resolve(source.startsWith('padAxis:') ? source + (value > 0 ? '+' : '-') : source);
+    return true;
+  }
+
+  pollGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+    
+    const buttons = [];
+    const axes = [];
+    
+    // Every connected pad drives the same sources
+    Array.from(navigator.getGamepads()).forEach(pad => {
+      if (!pad || !pad.connected) return;
+      
+      pad.buttons.forEach((button, i) => {
+        buttons[i] = Math.max(buttons[i] || 0, button.value || (button.pressed ? 1 : 0));
+      });
+      pad.axes.forEach((value, i) => {
+        if (Math.abs(value) > Math.abs(axes[i] || 0)) axes[i] = value;
+      });
+    });
+    
+    const reported = new Set();
+    buttons.forEach((value, i) => {
+      reported.add(`pad:${i}`);
+      this.setSourceValue(`pad:${i}`, value);
+    });
+    axes.forEach((value, i) => {
+      reported.add(`padAxis:${i}`);
+      this.setSourceValue(`padAxis:${i}`, value || 0);
+    });
+    
+    // A disconnected pad reports nothing, so release whatever it left held
+    this.padSources.forEach(source => {
+      if (!reported.has(source)) {
+        this.setSourceValue(source, 0);
+      }
+    });
+    this.padSources = reported;
+  }
+
+  // ----- Queries -----
+
+  isActionPressed(action) {
+    const state = this.actionStates.get(action);
+    return state ? state.pressed : false;
+  }
+
+  isActionHeld(action) {
+    const state = this.actionStates.get(action);
+    return state ? state.held : false;
+  }
+
+  isActionReleased(action) {
+    const state = this.actionStates.get(action);
+    return state ? state.released : false;
+  }
+
+  getAxis(axis) {
+    return this.axisValues.get(axis) || 0;
+  }
+
+  /**
+   * Two axes as a vector no longer than 1, so diagonals are not faster
+   */
+  getVector(xAxis = 'moveX', yAxis = 'moveY') {
+    const x = this.getAxis(xAxis);
+    const y = this.getAxis(yAxis);
+    const length = Math.sqrt(x * x + y * y);
+    
+    return length > 1 ? { x: x / length, y: y / length } : { x, y };
+  }
+
+  // ----- DOM handlers -----
+
+  onKeyDown(event) {
+    this.keys[event.key] = true;
+    if (!event.repeat) {
+      this.setSourceValue(`key:${event.code}`, 1);
+    }
+  }
+
+  onKeyUp(event) {
+    this.keys[event.key] = false;
+    this.setSourceValue(`key:${event.code}`, 0);
+  }
+
+  onMouseMove(event) {
+    this.mousePosition = { x: event.clientX, y: event.clientY };
+  }
+
+  onMouseDown(event) {
+    this.mouseDown = true;
+    this.setSourceValue(`mouse:${event.button || 0}`, 1);
+  }
+
+  onMouseUp(event) {
+    this.mouseDown = false;
+    this.setSourceValue(`mouse:${event.button || 0}`, 0);
+  }
+
+  onTouchStart(event) {
+    this.touches = Array.from(event.touches);
+    this.latched.add('touch');
+  }
+
+  onTouchMove(event) {
+    this.touches = Array.from(event.touches);
+  }
+
+  onTouchEnd(event) {
+    this.touches = Array.from(event.touches);
+  }
+
+  isKeyPressed(key) {
+    return this.keys[key] || false;
+  }
+
+  getMousePosition() {
+    return { ...this.mousePosition };
+  }
+
+  isMouseDown() {
+    return this.mouseDown;
+  }
+
+  getTouches() {
+    return [...this.touches];
+  }
+}
+
+InputManager.defaultContexts = {
+  gameplay: {
+    actions: {
+      attack: ['key:KeyJ', 'key:Space', 'mouse:0', 'pad:2', 'virtual:attack'],
+      interact: ['key:KeyE', 'key:Enter', 'pad:0', 'virtual:interact'],
+      pause: ['key:Escape', 'key:KeyP', 'pad:9', 'virtual:pause']
+    },
+    axes: {
+      moveX: {
+        negative: ['key:KeyA', 'key:ArrowLeft', 'pad:14'],
+        positive: ['key:KeyD', 'key:ArrowRight', 'pad:15'],
+        analog: ['padAxis:0', 'virtual:stickX']
+      },
+      moveY: {
+        negative: ['key:KeyW', 'key:ArrowUp', 'pad:12'],
+        positive: ['key:KeyS', 'key:ArrowDown', 'pad:13'],
+        analog: ['padAxis:1', 'virtual:stickY']
+      }
+    }
+  },
+  menu: {
+    actions: {
+      confirm: ['key:Enter', 'key:Space', 'pad:0'],
+      cancel: ['key:Escape', 'key:Backspace', 'pad:1']
+    },
+    axes: {
+      navigateX: {
+        negative: ['key:ArrowLeft', 'key:KeyA', 'pad:14'],
+        positive: ['key:ArrowRight', 'key:KeyD', 'pad:15'],
+        analog: ['padAxis:0']
+      },
+      navigateY: {
+        negative: ['key:ArrowUp', 'key:KeyW', 'pad:12'],
+        positive: ['key:ArrowDown', 'key:KeyS', 'pad:13'],
+        analog: ['padAxis:1']
+      }
+    }
+  }
+};
+
+// ============================================================================
+// TOUCH CONTROLS
+// ============================================================================
+
+/**
+ * On-screen joystick, action buttons and gestures for touch screens. The
+ * joystick drives the 'virtual:stickX' / 'virtual:stickY' sources and each
+ * button its 'virtual:<id>' source on the InputManager, so touch play reads
+ * the same actions and axes as keyboard and gamepad. Gestures are emitted as
+ * 'gesture:tap', 'gesture:doubleTap', 'gesture:longPress', 'gesture:swipe'
+ * and 'gesture:pinch', with world positions when a camera is given. With
+ * tapToMove and a target, a tap steers the target to the tapped world point,
+ * around walls when given a `pathfinder`.
+ * Positions are CSS pixels; negative x/y count from the right/bottom edge.
+ */
+class TouchControls {
+  constructor(inputManager, config = {}) {
+    this.input = inputManager;
+    this.eventBus = config.eventBus || inputManager.eventBus || new EventBus();
+    this.camera = config.camera || null;
+    this.target = config.target || null;
+    this.clock = config.clock || defaultClock;
+    this.pixelRatio = config.pixelRatio || 
+      (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    this.width = 0;
+    this.height = 0;
+    this.element = null;
+    this.listeners = [];
+    
+    this.joystick = {
+      mode: 'floating',
+      x: 110,
+      y: -110,
+      radius: 60,
+      // Floating sticks appear where a touch starts in this share of the screen,
+      // once it drags past tapSlop (a stationary touch there is still a tap)
+      region: { x: 0, y: 0, width: 0.5, height: 1 },
+      ...config.joystick,
+      active: false,
+      touchId: null,
+      centerX: 0,
+      centerY: 0,
+      knobX: 0,
+      knobY: 0
+    };
+    
+    this.buttons = (config.buttons || TouchControls.defaultButtons).map(button => ({
+      radius: 36,
+      label: button.id,
+      ...button,
+      pressed: false,
+      touchId: null
+    }));
+    
+    // Gesture tuning (ms and CSS pixels)
+    this.tapTime = config.tapTime || 250;
+    this.tapSlop = config.tapSlop || 10;
+    this.doubleTapTime = config.doubleTapTime || 300;
+    this.longPressTime = config.longPressTime || 500;
+    this.swipeDistance = config.swipeDistance || 50;
+    this.swipeTime = config.swipeTime || 500;
+    
+    this.tapToMove = config.tapToMove || false;
+    this.arriveDistance = config.arriveDistance || 8;
+    
+    // Tap-to-move walks a path by pointing the virtual stick along it
+    this.follower = new PathFollower({
+      pathfinder: config.pathfinder,
+      arriveDistance: this.arriveDistance,
+      drive: false
+    });
+    
+    this.touches = new Map();
+    this.pinch = null;
+    this.lastTap = null;
+  }
+
+  /**
+   * Listen for touches on an element (usually the game canvas)
+   */
+  attach(element) {
+    this.detach();
+    this.element = element;
+    this.resize();
+    
+    const handlers = {
+      touchstart: (e) => this.onTouchStart(e),
+      touchmove: (e) => this.onTouchMove(e),
+      touchend: (e) => this.onTouchEnd(e),
+      touchcancel: (e) => this.onTouchEnd(e)
+    };
+    
+    Object.keys(handlers).forEach(type => {
+      const handler = (e) => {
+        e.preventDefault();
+        handlers[type](e);
+      };
+      element.addEventListener(type, handler, { passive: false });
+      this.listeners.push(() => element.removeEventListener(type, handler));
+    });
+  }
+
+  detach() {
+    this.listeners.forEach(remove => remove());
+    this.listeners = [];
+    this.element = null;
+  }
+
+  /**
+   * Size of the control surface; call when the canvas resizes
+   */
+  resize(width, height) {
+    if (width === undefined && this.element) {
+      const rect = this.element.getBoundingClientRect();
+      width = rect.width;
+      height = rect.height;
+    }
+    
+    this.width = width || 0;
+    this.height = height || 0;
+  }
+
+  resolvePosition(x, y) {
+    return {
+      x: x < 0 ? this.width + x : x,
+      y: y < 0 ? this.height + y : y
+    };
+  }
+
+  /**
+   * Touch position relative to the element
+   */
+  getTouchPoint(touch) {
+    const rect = this.element ? this.element.getBoundingClientRect() : { left: 0, top: 0 };
+    return { x: touch.clientX - rect.left, y: touch.clientY - rect.top };
+  }
+
+  getWorldPoint(point) {
+    return this.camera ? this.camera.screenToWorld(point.x, point.y) : null;
+  }
+
+  // ----- Touch handling -----
+
+  onTouchStart(event) {
+    Array.from(event.changedTouches).forEach(touch => {
+      const point = this.getTouchPoint(touch);
+      this.handleStart(touch.identifier, point.x, point.y);
+    });
+  }
+
+  onTouchMove(event) {
+    Array.from(event.changedTouches).forEach(touch => {
+      const point = this.getTouchPoint(touch);
+      this.handleMove(touch.identifier, point.x, point.y);
+    });
+  }
+
+  onTouchEnd(event) {
+    Array.from(event.changedTouches).forEach(touch => this.handleEnd(touch.identifier));
+  }
+
+  /**
+   * A finger went down: it belongs to a button, the joystick or gestures
+   */
+  handleStart(id, x, y) {
+    const button = this.buttons.find(b => {
+      const center = this.resolvePosition(b.x, b.y);
+      return Math.hypot(x - center.x, y - center.y) <= b.radius;
+    });
+    
+    if (button) {
+      button.pressed = true;
+      button.touchId = id;
+      this.input.setSourceValue(`virtual:${button.id}`, 1);
+      this.touches.set(id, { role: 'button', button });
+      return;
+    }
+    
+    const stick = this.joystick;
+    const inStickArea = !stick.active && this.isInJoystickArea(x, y);
+    
+    if (inStickArea && stick.mode === 'fixed') {
+      this.activateJoystick(id, this.resolvePosition(stick.x, stick.y));
+      this.handleMove(id, x, y);
+      return;
+    }
+    
+    this.touches.set(id, {
+      role: 'gesture',
+      startX: x,
+      startY: y,
+      x,
+      y,
+      startTime: this.clock(),
+      moved: false,
+      longPressed: false,
+      // Becomes the floating stick if it drags before lifting
+      stickCandidate: inStickArea
+    });
+    
+    const gestureTouches = this.getGestureTouches();
+    if (gestureTouches.length === 2) {
+      // Two fingers make a pinch; neither can become a tap any more
+      gestureTouches.forEach(t => { t.moved = true; });
+      this.pinch = { startDistance: this.getPinchDistance(gestureTouches), lastScale: 1 };
+    }
+  }
+
+  activateJoystick(id, center) {
+    const stick = this.joystick;
+    
+    stick.active = true;
+    stick.touchId = id;
+    stick.centerX = center.x;
+    stick.centerY = center.y;
+    this.follower.stop();
+    this.touches.set(id, { role: 'joystick' });
+  }
+
+  isInJoystickArea(x, y) {
+    const stick = this.joystick;
+    
+    if (stick.mode === 'fixed') {
+      const center = this.resolvePosition(stick.x, stick.y);
+      // Some slack around the base so a slightly missed thumb still grabs it
+      return Math.hypot(x - center.x, y - center.y) <= stick.radius * 1.5;
+    }
+    
+    const region = stick.region;
+    return x >= region.x * this.width && x <= (region.x + region.width) * this.width &&
+      y >= region.y * this.height && y <= (region.y + region.height) * this.height;
+  }
+
+  handleMove(id, x, y) {
+    const touch = this.touches.get(id);
+    if (!touch) return;
+    
+    if (touch.role === 'joystick') {
+      const stick = this.joystick;
+      let dx = x - stick.centerX;
+      let dy = y - stick.centerY;
+      const distance = Math.hypot(dx, dy);
+      
+      if (distance > stick.radius) {
+        dx = dx / distance * stick.radius;
+        dy = dy / distance * stick.radius;
+      }
+      
+      stick.knobX = dx;
+      stick.knobY = dy;
+      this.input.setSourceValue('virtual:stickX', dx / stick.radius);
+      this.input.setSourceValue('virtual:stickY', dy / stick.radius);
+      return;
+    }
+    
+    if (touch.role !== 'gesture') return;
+    
+    touch.x = x;
+    touch.y = y;
+    if (Math.hypot(x - touch.startX, y - touch.startY) > this.tapSlop) {
+      touch.moved = true;
+    }
+    
+    if (touch.moved && touch.stickCandidate && !this.joystick.active && !this.pinch) {
+      this.activateJoystick(id, { x: touch.startX, y: touch.startY });
+      this.handleMove(id, x, y);
+      return;
+    }
+    
+    const gestureTouches = this.getGestureTouches();
+    if (this.pinch && gestureTouches.length === 2) {
+      const scale = this.getPinchDistance(gestureTouches) / this.pinch.startDistance;
+      const center = {
+        x: (gestureTouches[0].x + gestureTouches[1].x) / 2,
+        y: (gestureTouches[0].y + gestureTouches[1].y) / 2
+      };
+      
+      this.emit('gesture:pinch', { scale, delta: scale / this.pinch.lastScale, ...center, world: this.getWorldPoint(center) });
+      this.pinch.lastScale = scale;
+    }
+  }
+
+  handleEnd(id) {
+    const touch = this.touches.get(id);
+    if (!touch) return;
+    
+    this.touches.delete(id);
+    
+    if (touch.role === 'button') {
+      touch.button.pressed = false;
+      touch.button.touchId = null;
+      this.input.setSourceValue(`virtual:${touch.button.id}`, 0);
+      return;
+    }
+    
+    if (touch.role === 'joystick') {
+      this.joystick.active = false;
+      this.joystick.touchId = null;
+      this.joystick.knobX = 0;
+      this.joystick.knobY = 0;
+      this.input.setSourceValue('virtual:stickX', 0);
+      this.input.setSourceValue('virtual:stickY', 0);
+      return;
+    }
+    
+    if (this.pinch) {
+      if (this.getGestureTouches().length < 2) {
+        this.pinch = null;
+      }
+      return;
+    }
+    
+    this.recognizeRelease(touch);
+  }
+
+  /**
+   * Classify a lifted gesture finger as a tap, double-tap or swipe
+   */
+  recognizeRelease(touch) {
+    const now = this.clock();
+    const duration = now - touch.startTime;
+    const dx = touch.x - touch.startX;
+    const dy = touch.y - touch.startY;
+    const distance = Math.hypot(dx, dy);
+    const point = { x: touch.x, y: touch.y };
+    
+    if (touch.longPressed) return;
+    
+    if (!touch.moved && duration <= this.tapTime) {
+      const last = this.lastTap;
+      
+      if (last && now - last.time <= this.doubleTapTime && 
+          Math.hypot(point.x - last.x, point.y - last.y) <= this.tapSlop * 3) {
+        this.lastTap = null;
+        this.emit('gesture:doubleTap', { ...point, world: this.getWorldPoint(point) });
+        return;
+      }
+      
+      this.lastTap = { ...point, time: now };
+      this.onTap(point);
+      return;
+    }
+    
+    if (distance >= this.swipeDistance && duration <= this.swipeTime) {
+      const direction = Math.abs(dx) > Math.abs(dy) ? 
+        (dx > 0 ? 'right' : 'left') : 
+        (dy > 0 ? 'down' : 'up');
+      
+      this.emit('gesture:swipe', { direction, dx, dy, velocity: distance / Math.max(duration, 1) * 1000 });
+    }
+  }
+
+  onTap(point) {
+    const world = this.getWorldPoint(point);
+    
+    this.emit('gesture:tap', { ...point, world });
+    
+    if (this.tapToMove && world && this.target) {
+      this.follower.entity = this.target;
+      this.follower.moveTo(world.x, world.y);
+    }
+  }
+
+  getGestureTouches() {
+    return Array.from(this.touches.values()).filter(t => t.role === 'gesture');
+  }
+
+  getPinchDistance(touches) {
+    return Math.max(1, Math.hypot(touches[0].x - touches[1].x, touches[0].y - touches[1].y));
+  }
+
+  emit(eventName, data) {
+    this.eventBus.emit(eventName, data);
+  }
+
+  // ----- Per-frame -----
+
+  /**
+   * Detect long presses and steer toward a tap-to-move point. Call before
+   * InputManager.update() so the values are read in the same frame.
+   */
+  update(delta) {
+    const now = this.clock();
+    
+    this.touches.forEach(touch => {
+      if (touch.role === 'gesture' && !touch.moved && !touch.longPressed && 
+          now - touch.startTime >= this.longPressTime) {
+        touch.longPressed = true;
+        const point = { x: touch.x, y: touch.y };
+        this.emit('gesture:longPress', { ...point, world: this.getWorldPoint(point) });
+      }
+    });
+    
+    if (this.follower.isMoving() && this.target && !this.joystick.active) {
+      this.steerToTarget(delta);
+    }
+  }
+
+  steerToTarget(delta) {
+    this.follower.update(delta);
+    
+    if (!this.follower.isMoving()) {
+      this.cancelMove();
+      return;
+    }
+    
+    this.input.setSourceValue('virtual:stickX', this.follower.direction.x);
+    this.input.setSourceValue('virtual:stickY', this.follower.direction.y);
+  }
+
+  /**
+   * Route tap-to-move through a new map's pathfinder
+   */
+  setPathfinder(pathfinder) {
+    this.follower.setPathfinder(pathfinder);
+  }
+
+  cancelMove() {
+    this.follower.stop();
+    this.input.setSourceValue('virtual:stickX', 0);
+    this.input.setSourceValue('virtual:stickY', 0);
+  }
+
+  /**
+   * Draw the joystick and buttons in screen space
+   */
+  render(ctx) {
+    ctx.save();
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    
+    const stick = this.joystick;
+    if (stick.active || stick.mode === 'fixed') {
+      const center = stick.active ? 
+        { x: stick.centerX, y: stick.centerY } : 
+        this.resolvePosition(stick.x, stick.y);
+      
+      ctx.globalAlpha = 0.25;
+      ctx.fillStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, stick.radius, 0, Math.PI * 2);
+      ctx.fill();
+      
+      ctx.globalAlpha = 0.6;
+      ctx.beginPath();
+      ctx.arc(center.x + stick.knobX, center.y + stick.knobY, stick.radius * 0.4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    
+    this.buttons.forEach(button => {
+      const center = this.resolvePosition(button.x, button.y);
+      
+      ctx.globalAlpha = button.pressed ? 0.6 : 0.3;
+      ctx.fillStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, button.radius, 0, Math.PI * 2);
+      ctx.fill();
+      
+      ctx.globalAlpha = 0.9;
+      ctx.fillStyle = '#000000';
+      ctx.font = 'bold 12px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(button.label.toUpperCase(), center.x, center.y);
+    });
+    
+    ctx.restore();
+  }
+}
+
+// Buttons matching the 'virtual:<id>' bindings of the default gameplay context
+TouchControls.defaultButtons = [
+  { id: 'attack', x: -80, y: -100, radius: 40 },
+  { id: 'interact', x: -170, y: -60, radius: 30 },
+  { id: 'pause', x: -50, y: -190, radius: 22 }
+];
+
+// ============================================================================
+// AUDIO MANAGER
+// ============================================================================
+
+/**
+ * Web Audio mixer. Sounds play through music, sfx and voice buses into a
+ * master bus; each play gets a voice from a pool, so one effect can overlap
+ * itself up to maxInstances times. Music crossfades, anything on the voice
+ * bus ducks the music, and sounds given a position pan and fade with their
+ * distance from the listener (the camera). Volumes and mute persist to the
+ * storage backend. Without Web Audio (or when headless) every call is a
+ * silent no-op.
+ */
+class AudioManager {
+  constructor(config = {}) {
+    this.sounds = new Map();
+    this.volumes = { master: 1, music: 0.7, sfx: 1, voice: 1 };
+    this.muted = false;
+    
+    // Silent when headless or when the environment has no Web Audio support
+    this.AudioContextClass = config.AudioContext || 
+      (typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext)) || null;
+    this.silent = config.silent || !this.AudioContextClass;
+    this.context = null;
+    this.buses = {};
+    this.fetch = config.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+    
+    // Voices
+    this.maxVoices = config.maxVoices || 32;
+    this.maxInstances = config.maxInstances || 4;
+    this.voices = [];
+    this.voicePool = [];
+    this.nextVoiceId = 1;
+    
+    // Music and ducking
+    this.music = null;
+    this.duckLevel = config.duckLevel !== undefined ? config.duckLevel : 0.35;
+    this.duckFade = config.duckFade || 0.25;
+    
+    // Positional audio - full volume within refDistance, silent past maxDistance
+    this.listener = null;
+    this.refDistance = config.refDistance || 150;
+    this.maxDistance = config.maxDistance || 900;
+    
+    this.storage = config.storage || null;
+    this.storageKey = config.storageKey || 'audio-settings';
+  }
+
+  get volume() {
+    return this.volumes.master;
+  }
+
+  get musicVolume() {
+    return this.volumes.music;
+  }
+
+  init() {
+    this.loadSettings();
+    
+    if (this.silent || typeof document === 'undefined') return;
+    
+    // Browsers keep audio suspended until the first user gesture
+    const unlock = () => {
+      this.unlock();
+      ['pointerdown', 'keydown', 'touchstart'].forEach(type => document.removeEventListener(type, unlock));
+    };
+    ['pointerdown', 'keydown', 'touchstart'].forEach(type => document.addEventListener(type, unlock));
+  }
+
+  /**
+   * Create the audio graph on first use:
+   * music -> duck -> master, sfx -> master, voice -> master, master -> destination
+   */
+  ensureContext() {
+    if (this.silent) return null;
+    if (this.context) return this.context;
+    
+    try {
+      this.context = new this.AudioContextClass();
+    } catch (error) {
+      console.warn('Could not create audio context; audio disabled', error);
+      this.silent = true;
+      return null;
+    }
+    
+    const context = this.context;
+    this.buses.master = context.createGain();
+    this.buses.master.connect(context.destination);
+    
+    this.buses.duck = context.createGain();
+    this.buses.duck.connect(this.buses.master);
+    
+    this.buses.music = context.createGain();
+    this.buses.music.connect(this.buses.duck);
+    
+    ['sfx', 'voice'].forEach(bus => {
+      this.buses[bus] = context.createGain();
+      this.buses[bus].connect(this.buses.master);
+    });
+    
+    this.applyVolumes();
+    return context;
+  }
+
+  unlock() {
+    const context = this.ensureContext();
+    if (context && context.state === 'suspended') {
+      return context.resume();
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Fetch and decode a sound; resolves with the buffer (null if it fails or audio is off)
+   */
+  async loadSound(name, url) {
+    const context = this.ensureContext();
+    if (!context) return null;
+    
+    try {
+      const response = await this.fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      const buffer = await context.decodeAudioData(await response.arrayBuffer());
+      this.sounds.set(name, buffer);
+      return buffer;
+    } catch (error) {
+      console.warn(`Could not load sound: ${name}`, error);
+      return null;
+    }
+  }
+
+  unloadSound(name) {
+    this.stopSound(name);
+    return this.sounds.delete(name);
+  }
+
+  /**
+   * Play a sound. Options: { bus: 'sfx', loop, volume, rate, position }, where
+   * position is an entity or {x, y} to pan and attenuate against the listener.
+   * A boolean is taken as `loop` for older callers.
+   * @returns {Object|null} Voice handle with stop(fadeTime)
+   */
+  playSound(name, options = {}) {
+    if (typeof options === 'boolean') {
+      options = { loop: options };
+    }
+    
+    const context = this.ensureContext();
+    const buffer = this.sounds.get(name);
+    if (!context || !buffer) return null;
+    
+    const bus = options.bus || 'sfx';
+    if (!this.buses[bus] || bus === 'duck') {
+      console.warn(`Unknown audio bus: ${bus}`);
+      return null;
+    }
+    
+    // Past the per-sound or global limit the oldest voice is stolen
+    const instances = this.voices.filter(v => v.name === name);
+    if (instances.length >= this.maxInstances) {
+      this.stopVoice(instances[0]);
+    }
+    if (this.voices.length >= this.maxVoices) {
+      this.stopVoice(this.voices[0]);
+    }
+    
+    const voice = this.acquireVoice();
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = options.loop || false;
+    source.playbackRate.value = options.rate || 1;
+    source.connect(voice.panner || voice.gain);
+    
+    voice.id = this.nextVoiceId++;
+    voice.name = name;
+    voice.bus = bus;
+    voice.source = source;
+    voice.volume = options.volume !== undefined ? options.volume : 1;
+    voice.position = options.position || null;
+    voice.gain.connect(this.buses[bus]);
+    
+    // A stopped voice may already be back in use by the time onended fires
+    source.onended = () => {
+      if (voice.source === source) this.releaseVoice(voice);
+    };
+    this.voices.push(voice);
+    this.updateVoice(voice);
+    source.start();
+    
+    if (bus === 'voice') {
+      this.updateDucking();
+    }
+    
+    return {
+      id: voice.id,
+      stop: (fadeTime = 0) => {
+        if (voice.source === source) this.stopVoice(voice, fadeTime);
+      }
+    };
+  }
+
+  /**
+   * Reuse a gain (and panner) chain from the pool, or build one
+   */
+  acquireVoice() {
+    if (this.voicePool.length > 0) {
+      const voice = this.voicePool.pop();
+      voice.gain.gain.cancelScheduledValues(0);
+      return voice;
+    }
+    
+    const context = this.context;
+    const gain = context.createGain();
+    const panner = context.createStereoPanner ? context.createStereoPanner() : null;
+    if (panner) {
+      panner.connect(gain);
+    }
+    
+    return { gain, panner, source: null };
+  }
+
+  releaseVoice(voice) {
+    const index = this.voices.indexOf(voice);
+    if (index === -1) return;
+    
+    this.voices.splice(index, 1);
+    voice.source.disconnect();
+    voice.gain.disconnect();
+    voice.source = null;
+    voice.position = null;
+    this.voicePool.push(voice);
+    
+    if (voice.bus === 'voice') {
+      this.updateDucking();
+    }
+  }
+
+  stopVoice(voice, fadeTime = 0) {
+    if (!voice.source) return;
+    
+    const source = voice.source;
+    
+    if (fadeTime > 0) {
+      // Stop tracking position so update() doesn't override the fade
+      voice.position = null;
+      const now = this.context.currentTime;
+      voice.gain.gain.setValueAtTime(voice.gain.gain.value, now);
+      voice.gain.gain.linearRampToValueAtTime(0, now + fadeTime);
+      source.stop(now + fadeTime);
+    } else {
+      source.stop();
+      // Release now rather than waiting for onended, so a stolen slot is free at once
+      this.releaseVoice(voice);
+    }
+  }
+
+  stopSound(name) {
+    this.voices.filter(v => v.name === name).forEach(voice => this.stopVoice(voice));
+  }
+
+  stopAll() {
+    [...this.voices].forEach(voice => this.stopVoice(voice));
+    this.music = null;
+  }
+
+  // ----- Music -----
+
+  /**
+   * Crossfade to a music track; playing the current track again does nothing
+   */
+  playMusic(name, options = {}) {
+    if (this.music && this.music.name === name) return this.music.handle;
+    
+    const fadeTime = options.fadeTime !== undefined ? options.fadeTime : 1.5;
+    this.stopMusic(fadeTime);
+    
+    const volume = options.volume !== undefined ? options.volume : 1;
+    const handle = this.playSound(name, { bus: 'music', loop: options.loop !== false, volume });
+    if (!handle) return null;
+    
+    const voice = this.voices.find(v => v.id === handle.id);
+    const now = this.context.currentTime;
+    voice.gain.gain.setValueAtTime(0, now);
+    voice.gain.gain.linearRampToValueAtTime(voice.volume, now + fadeTime);
+    
+    this.music = { name, handle };
+    return handle;
+  }
+
+  stopMusic(fadeTime = 1.5) {
+    if (!this.music) return;
+    
+    this.music.handle.stop(fadeTime);
+    this.music = null;
+  }
+
+  /**
+   * Lower the music while anything plays on the voice bus
+   */
+  updateDucking() {
+    if (!this.context) return;
+    
+    const speaking = this.voices.some(v => v.bus === 'voice');
+    const now = this.context.currentTime;
+    const duck = this.buses.duck.gain;
+    
+    duck.cancelScheduledValues(now);
+    duck.setValueAtTime(duck.value, now);
+    duck.linearRampToValueAtTime(speaking ? this.duckLevel : 1, now + this.duckFade);
+  }
+
+  // ----- Positional audio -----
+
+  /**
+   * The camera (or anything with getView()) positional sounds are heard from
+   */
+  setListener(listener) {
+    this.listener = listener;
+  }
+
+  /**
+   * Re-pan and re-attenuate positional voices; call once per frame
+   */
+  update(delta) {
+    this.voices.forEach(voice => {
+      if (voice.position) this.updateVoice(voice);
+    });
+  }
+
+  updateVoice(voice) {
+    const spatial = this.getSpatialParams(voice.position);
+    voice.gain.gain.value = voice.volume * spatial.volume;
+    if (voice.panner) {
+      voice.panner.pan.value = spatial.pan;
+    }
+  }
+
+  /**
+   * Pan (-1..1) and volume (0..1) for a world position relative to the listener
+   */
+  getSpatialParams(position) {
+    if (!position || !this.listener) {
+      return { pan: 0, volume: 1 };
+    }
+    
+    const view = this.listener.getView();
+    const centerX = view.x + view.width / 2;
+    const centerY = view.y + view.height / 2;
+    const x = position.x + (position.width || 0) / 2;
+    const y = position.y + (position.height || 0) / 2;
+    const distance = Math.hypot(x - centerX, y - centerY);
+    
+    const volume = distance <= this.refDistance ? 1 : 
+      Math.max(0, 1 - (distance - this.refDistance) / (this.maxDistance - this.refDistance));
+    const pan = Math.max(-1, Math.min(1, (x - centerX) / (view.width / 2)));
+    
+    return { pan, volume };
+  }
+
+  // ----- Volume settings -----
+
+  setVolume(volume) {
+    this.setBusVolume('master', volume);
+  }
+
+  setMusicVolume(volume) {
+    this.setBusVolume('music', volume);
+  }
+
+  setBusVolume(bus, volume) {
+    if (this.volumes[bus] === undefined) {
+      console.warn(`Unknown audio bus: ${bus}`);
+      return;
+    }
+    
+    this.volumes[bus] = Math.max(0, Math.min(1, volume));
+    this.applyVolumes();
+    this.saveSettings();
+  }
+
+  getBusVolume(bus) {
+    return this.volumes[bus];
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    this.applyVolumes();
+    this.saveSettings();
+  }
+
+  toggleMute() {
+    this.setMuted(!this.muted);
+    return this.muted;
+  }
+
+  applyVolumes() {
+    if (!this.context) return;
+    
+    Object.keys(this.volumes).forEach(bus => {
+      this.buses[bus].gain.value = this.volumes[bus];
+    });
+    
+    if (this.muted) {
+      this.buses.master.gain.value = 0;
+    }
+  }
+
+  async loadSettings() {
+    if (!this.storage) return false;
+    
+    try {
+      const stored = await this.storage.read(this.storageKey);
+      if (!stored) return false;
+      
+      const settings = JSON.parse(stored);
+      this.volumes = { ...this.volumes, ...settings.volumes };
+      this.muted = !!settings.muted;
+      this.applyVolumes();
+      return true;
+    } catch (error) {
+      console.warn('Could not load audio settings:', error);
+      return false;
+    }
+  }
+
+  async saveSettings() {
+    if (!this.storage) return false;
+    
+    try {
+      await this.storage.write(this.storageKey, JSON.stringify({ volumes: this.volumes, muted: this.muted }));
+      return true;
+    } catch (error) {
+      console.warn('Could not save audio settings:', error);
+      return false;
+    }
+  }
+}
+
+// ============================================================================
+// ASSET LOADER
+// ============================================================================
+
+/**
+ * Loads assets in parallel with retries and keeps them in a reference-counted
+ * cache, so an asset shared by two scenes is only freed when both let go.
+ * Manifests group a scene's assets by type:
+ * {
+ *   images: { hero: 'img/hero.png' },
+ *   atlases: { heroSprites: 'img/hero.json' },   // image path comes from meta.image
+ *   audio: { theme: 'audio/theme.mp3' },
+ *   json: { dialogue: 'data/dialogue.json' },
+ *   maps: { town: 'maps/town.tmj' }
+ * }
+ * Entries may also be objects ({ url, ...options }). Progress is reported as
+ * 'assets:progress', failures per asset as 'assets:error', and the finished
+ * manifest as 'assets:loaded'. Audio goes through the engine's AudioManager,
+ * or `config.audioManager` for a loader without an engine.
+ */
+class AssetLoader {
+  constructor(engine, config = {}) {
+    this.engine = engine;
+    this.audioManager = config.audioManager || (engine ? engine.audioManager : null);
+    this.basePath = config.basePath || '';
+    this.retries = config.retries !== undefined ? config.retries : 2;
+    this.retryDelay = config.retryDelay || 500;
+    this.concurrency = config.concurrency || 6;
+    this.fetch = config.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+    this.cache = new Map();
+    this.manifests = new Map();
+  }
+
+  /**
+   * Add a loader for an asset type: (loader, url, options) => Promise<asset>
+   */
+  static registerType(type, load, unload = null) {
+    AssetLoader.types.set(type, { load, unload });
+  }
+
+  registerManifest(name, manifest) {
+    this.manifests.set(name, manifest);
+  }
+
+  /**
+   * Flatten a manifest into [{ key, type, url, options }]
+   */
+  static getEntries(manifest) {
+    const entries = [];
+    
+    Object.keys(manifest).forEach(group => {
+      const type = AssetLoader.groupTypes[group] || group;
+      const assets = manifest[group];
+      
+      Object.keys(assets).forEach(key => {
+        const entry = typeof assets[key] === 'string' ? { url: assets[key] } : assets[key];
+        const { url, ...options } = entry;
+        entries.push({ key, type, url, options });
+      });
+    });
+    
+    return entries;
+  }
+
+  /**
+   * Load every asset of a registered (or given) manifest, taking one reference each.
+   * Assets that fail are reported and skipped; the rest stay usable.
+   * @returns {Promise<{success: boolean, loaded: string[], failed: Array<{key, error}>}>}
+   */
+  async loadManifest(nameOrManifest, options = {}) {
+    const name = typeof nameOrManifest === 'string' ? nameOrManifest : options.name || 'manifest';
+    const manifest = typeof nameOrManifest === 'string' ? this.manifests.get(nameOrManifest) : nameOrManifest;
+    
+    if (!manifest) {
+      console.error(`Asset manifest '${name}' not found`);
+      return { success: false, loaded: [], failed: [] };
+    }
+    
+    const entries = AssetLoader.getEntries(manifest);
+    const result = { success: true, loaded: [], failed: [] };
+    let completed = 0;
+    let next = 0;
+    
+    const report = (key) => {
+      completed++;
+      const progress = { manifest: name, key, loaded: completed, total: entries.length, 
+        progress: entries.length ? completed / entries.length : 1 };
+      
+      if (options.onProgress) options.onProgress(progress);
+      this.emit('assets:progress', progress);
+    };
+    
+    // A fixed number of workers pull entries until none are left
+    const worker = async () => {
+      while (next < entries.length) {
+        const entry = entries[next++];
+        
+        try {
+          await this.load(entry.key, entry.type, entry.url, entry.options);
+          result.loaded.push(entry.key);
+        } catch (error) {
+          result.failed.push({ key: entry.key, error });
+        }
+        
+        report(entry.key);
+      }
+    };
+    
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, entries.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+    
+    result.success = result.failed.length === 0;
+    this.emit('assets:loaded', { manifest: name, ...result });
+    
+    return result;
+  }
+
+  /**
+   * Take an extra reference to each already cached asset of a manifest
+   * @returns {string[]} Keys retained, to release later
+   */
+  retainManifest(nameOrManifest) {
+    const manifest = typeof nameOrManifest === 'string' ? this.manifests.get(nameOrManifest) : nameOrManifest;
+    if (!manifest) return [];
+    
+    return AssetLoader.getEntries(manifest)
+      .filter(entry => this.cache.has(entry.key))
+      .map(entry => {
+        this.cache.get(entry.key).refs++;
+        return entry.key;
+      });
+  }
+
+  /**
+   * Release one reference to each asset of a manifest
+   */
+  releaseManifest(nameOrManifest) {
+    const manifest = typeof nameOrManifest === 'string' ? this.manifests.get(nameOrManifest) : nameOrManifest;
+    if (!manifest) return;
+    
+    AssetLoader.getEntries(manifest).forEach(entry => this.release(entry.key));
+  }
+
+  /**
+   * Load one asset (or reuse the cached one) and take a reference to it.
+   * Rejects once all retries have failed.
+   */
+  async load(key, type, url, options = {}) {
+    const cached = this.cache.get(key);
+    
+    if (cached) {
+      if (cached.url !== url || cached.type !== type) {
+        console.warn(`Asset key '${key}' is already used for ${cached.type} '${cached.url}'`);
+      }
+      cached.refs++;
+      return cached.promise;
+    }
+    
+    const handler = AssetLoader.types.get(type);
+    if (!handler) {
+      const error = new Error(`Unknown asset type: ${type}`);
+      this.emit('assets:error', { key, type, url, error });
+      throw error;
+    }
+    
+    const record = { key, type, url, refs: 1, asset: null, promise: null };
+    record.promise = this.withRetries(() => handler.load(this, this.resolveUrl(url), { ...options, key }))
+      .then(asset => {
+        record.asset = asset;
+        return asset;
+      })
+      .catch(error => {
+        this.cache.delete(key);
+        console.warn(`Could not load ${type} '${key}' from ${url}:`, error);
+        this.emit('assets:error', { key, type, url, error });
+        throw error;
+      });
+    
+    this.cache.set(key, record);
+    return record.promise;
+  }
+
+  async withRetries(attempt) {
+    let lastError = null;
+    
+    for (let i = 0; i <= this.retries; i++) {
+      try {
+        return await attempt();
+      } catch (error) {
+        lastError = error;
+        if (i < this.retries) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelay * (i + 1)));
+        }
+      }
+    }
+    
+    throw lastError;
+  }
+
+  /**
+   * Drop a reference; the asset is unloaded when none remain
+   */
+  release(key) {
+    const record = this.cache.get(key);
+    if (!record) return false;
+    
+    record.refs--;
+    if (record.refs > 0) return true;
+    
+    const handler = AssetLoader.types.get(record.type);
+    if (handler && handler.unload && record.asset) {
+      handler.unload(this, record.asset, record);
+    }
+    
+    this.cache.delete(key);
+    this.emit('assets:unloaded', { key, type: record.type });
+    
+    return true;
+  }
+
+  get(key) {
+    const record = this.cache.get(key);
+    return record ? record.asset : null;
+  }
+
+  has(key) {
+    const record = this.cache.get(key);
+    return !!(record && record.asset);
+  }
+
+  getRefCount(key) {
+    const record = this.cache.get(key);
+    return record ? record.refs : 0;
+  }
+
+  resolveUrl(url) {
+    return /^([a-z]+:|\/)/i.test(url) ? url : this.basePath + url;
+  }
+
+  async fetchJSON(url) {
+    if (!this.fetch) {
+      throw new Error('fetch is not available');
+    }
+    
+    const response = await this.fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  loadImage(url) {
+    return new Promise((resolve, reject) => {
+      if (typeof Image === 'undefined') {
+        reject(new Error('Images cannot be loaded in this environment'));
+        return;
+      }
+      
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`Could not load image ${url}`));
+      image.src = url;
+    });
+  }
+
+  emit(eventName, data) {
+    if (this.engine) {
+      this.engine.eventBus.emit(eventName, data);
+    }
+  }
+}
+
+AssetLoader.types = new Map();
+
+// Manifest group names and the asset type each holds
+AssetLoader.groupTypes = {
+  images: 'image',
+  atlases: 'atlas',
+  audio: 'audio',
+  json: 'json',
+  maps: 'map'
+};
+
+AssetLoader.registerType('image', (loader, url) => loader.loadImage(url));
+
+AssetLoader.registerType('json', (loader, url) => loader.fetchJSON(url));
+
+AssetLoader.registerType('atlas', async (loader, url, options) => {
+  const data = await loader.fetchJSON(url);
+  const imagePath = options.image || (data.meta && data.meta.image);
+  const image = imagePath ? 
+    await loader.loadImage(url.substring(0, url.lastIndexOf('/') + 1) + imagePath) : 
+    null;
+  return SpriteAtlas.fromJSON(data, image);
+});
+
+AssetLoader.registerType('map', async (loader, url, options) => {
+  const map = await Tilemap.load(url, {
+    ...options,
+    loadImages: false,
+    fetchJSON: (path) => loader.fetchJSON(path)
+  });
+  
+  if (!map) {
+    throw new Error(`Could not load map ${url}`);
+  }
+  
+  // Tileset images go through the loader so they retry like everything else
+  await Promise.all(map.tilesets.filter(t => t.imageSource).map(async (tileset) => {
+    map.setTilesetImage(tileset.name, await loader.loadImage(tileset.imageSource));
+  }));
+  
+  return map;
+});
+
+AssetLoader.registerType('audio', async (loader, url, options) => {
+  const audioManager = loader.audioManager;
+  if (!audioManager) {
+    throw new Error(`No AudioManager to load audio ${url} with`);
+  }
+  
+  const sound = await audioManager.loadSound(options.key, url);
+  
+  if (!sound && !audioManager.silent) {
+    throw new Error(`Could not load audio ${url}`);
+  }
+  return sound;
+}, (loader, sound, record) => {
+  if (loader.audioManager) {
+    loader.audioManager.unloadSound(record.key);
+  }
+});
+
+// ============================================================================
+// DATA MANAGER
+// ============================================================================
+
+class DataManager {
+  /**
+   * @param {Object} storage - A storage backend (read/write/remove/keys returning
+   *   promises) or a Web Storage-like object, which gets wrapped in a WebStorageBackend
+   */
+  constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+    this.data = {};
+    this.saveSlots = new Map();
+    this.storageKey = 'rpg-engine-data';
+    this.backend = storage && typeof storage.read !== 'function' ? new WebStorageBackend(storage) : storage;
+    // Web Storage can be read synchronously, so data is there right after init()
+    this.webStorage = this.backend instanceof WebStorageBackend ? this.backend.storage : null;
+    this.ready = Promise.resolve(false);
+  }
+
+  /**
+   * Load saved data from storage if available. Web Storage loads before this
+   * returns; other backends (IndexedDB) load asynchronously, so await `ready`
+   * before relying on their data.
+   */
+  init() {
+    this.ready = this.webStorage ? 
+      Promise.resolve(this.loadFromStorage()) : 
+      this.loadFromStorageAsync();
+    return this.ready;
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+  }
+
+  get(key, defaultValue = null) {
+    return this.data[key] !== undefined ? this.data[key] : defaultValue;
+  }
+
+  /**
+   * Snapshot the data into an in-memory slot; saveAsync() also persists it
+   */
+  save(slotName) {
+    this.saveSlots.set(slotName, {
+      data: { ...this.data },
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Restore data from an in-memory slot; loadAsync() also checks storage
+   * @returns {boolean} Whether the slot existed
+   */
+  load(slotName) {
+    if (this.saveSlots.has(slotName)) {
+      this.data = { ...this.saveSlots.get(slotName).data };
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * save(), then write the slot to the storage backend
+   * @returns {Promise<boolean>}
+   */
+  async saveAsync(slotName) {
+    this.save(slotName);
+    
+    if (!this.backend) return true;
+    
+    try {
+      await this.backend.write(`data:${slotName}`, JSON.stringify(this.saveSlots.get(slotName)));
+      return true;
+    } catch (error) {
+      console.warn(`Could not save data slot '${slotName}':`, error);
+      return false;
+    }
+  }
+
+  /**
+   * load(), reading the slot from the storage backend when it is not in memory
+   * @returns {Promise<boolean>}
+   */
+  async loadAsync(slotName) {
+    if (!this.saveSlots.has(slotName) && this.backend) {
+      try {
+        const stored = await this.backend.read(`data:${slotName}`);
+        if (stored) {
+          this.saveSlots.set(slotName, JSON.parse(stored));
+        }
+      } catch (error) {
+        console.warn(`Could not load data slot '${slotName}':`, error);
+      }
+    }
+    
+    return this.load(slotName);
+  }
+
+  /**
+   * Read the data from Web Storage now; false for asynchronous backends,
+   * which need loadFromStorageAsync()
+   */
+  loadFromStorage() {
+    if (!this.webStorage) return false;
+    
+    try {
+      const stored = this.webStorage.getItem(this.storageKey);
+      if (stored) {
+        this.data = JSON.parse(stored);
+        return true;
+      }
+    } catch (error) {
+      console.warn('Could not load data from storage:', error);
+    }
+    
+    return false;
+  }
+
+  /**
+   * Write the data to Web Storage now; false for asynchronous backends,
+   * which need saveToStorageAsync()
+   */
+  saveToStorage() {
+    if (!this.webStorage) return false;
+    
+    try {
+      this.webStorage.setItem(this.storageKey, JSON.stringify(this.data));
+      return true;
+    } catch (error) {
+      console.warn('Could not save data to storage:', error);
+      return false;
+    }
+  }
+
+  async loadFromStorageAsync() {
+    if (!this.backend) return false;
+    
+    try {
+      const stored = await this.backend.read(this.storageKey);
+      if (stored) {
+        this.data = JSON.parse(stored);
+        return true;
+      }
+    } catch (error) {
+      console.warn('Could not load data from storage:', error);
+    }
+    
+    return false;
+  }
+
+  async saveToStorageAsync() {
+    if (!this.backend) return false;
+    
+    try {
+      await this.backend.write(this.storageKey, JSON.stringify(this.data));
+      return true;
+    } catch (error) {
+      console.warn('Could not save data to storage:', error);
+      return false;
+    }
+  }
+
+  clear() {
+    this.data = {};
+  }
+}
+
+/**
+ * In-memory stand-in for localStorage (headless runs, tests)
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+
+  key(index) {
+    return Array.from(this.items.keys())[index] || null;
+  }
+
+  get length() {
+    return this.items.size;
+  }
+}
+
+// ============================================================================
+// STORAGE BACKENDS
+// ============================================================================
+
+/**
+ * Storage backends share one promise-based interface:
+ * read(key) -> string | null, write(key, value), remove(key), keys() -> string[]
+ */
+
+/**
+ * Backend over localStorage, sessionStorage or a MemoryStorage (in-memory saves)
+ */
+class WebStorageBackend {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async read(key) {
+    return this.storage.getItem(key);
+  }
+
+  async write(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  async remove(key) {
+    this.storage.removeItem(key);
+  }
+
+  async keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      keys.push(this.storage.key(i));
+    }
+    return keys;
+  }
+}
+
+/**
+ * Backend over an IndexedDB object store, for saves too large for localStorage
+ */
+class IndexedDBBackend {
+  constructor(dbName = 'rpg-engine', storeName = 'saves') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    
+    return this.dbPromise;
+  }
+
+  async request(mode, operation) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+      const request = operation(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async read(key) {
+    const value = await this.request('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  write(key, value) {
+    return this.request('readwrite', store => store.put(value, key));
+  }
+
+  remove(key) {
+    return this.request('readwrite', store => store.delete(key));
+  }
+
+  keys() {
+    return this.request('readonly', store => store.getAllKeys());
+  }
+}
+
+// ============================================================================
+// SAVE SYSTEM
+// ============================================================================
+
+// Current save format version; bump it and register a migration when the format changes
+const SAVE_VERSION = 1;
+
+/**
+ * Saves and restores full engine state - characters (stats, inventory,
+ * equipment, skills, status effects), entity positions, quests, the current
+ * scene, DataManager data and RNG state - into named slots on the
+ * DataManager's storage backend. Each save records its format version, a
+ * checksum of its state and slot metadata for save/load menus.
+ * Characters missing on load are recreated; other entities are expected to be
+ * spawned by their scene and only get their saved position and flags back.
+ */
+class SaveManager {
+  constructor(engine) {
+    this.engine = engine;
+    this.keyPrefix = 'save:';
+  }
+
+  get backend() {
+    return this.engine.dataManager.backend;
+  }
+
+  /**
+   * Register a function upgrading a save from `fromVersion` to `fromVersion + 1`
+   */
+  static registerMigration(fromVersion, migrate) {
+    SaveManager.migrations.set(fromVersion, migrate);
+  }
+
+  /**
+   * FNV-1a hash of a string, as hex
+   */
+  static checksum(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    
+    return (hash >>> 0).toString(16);
+  }
+
+  serialize() {
+    const engine = this.engine;
+    const characters = [];
+    const entities = [];
+    
+    engine.entities.forEach(entity => {
+      if (entity instanceof Character) {
+        characters.push(entity.serialize());
+      } else {
+        entities.push({ id: entity.id, x: entity.x, y: entity.y, active: entity.active, visible: entity.visible });
+      }
+    });
+    
+    const player = engine.gameState.player;
+    const baseScene = engine.getBaseScene();
+    
+    return {
+      scene: baseScene ? baseScene.name : null,
+      gameTime: engine.gameTime,
+      gameState: {
+        player: player ? player.id : null,
+        gold: engine.gameState.gold,
+        stats: engine.gameState.stats,
+        quests: engine.questManager.serialize()
+      },
+      characters,
+      entities,
+      data: engine.dataManager.data,
+      rng: engine.rng.getState()
+    };
+  }
+
+  createMetadata(slotName, extra = {}) {
+    const player = this.engine.gameState.player;
+    const baseScene = this.engine.getBaseScene();
+    
+    return {
+      slot: slotName,
+      timestamp: Date.now(),
+      playtime: this.engine.gameTime,
+      level: player ? player.level : null,
+      playerName: player ? player.name : null,
+      scene: baseScene ? baseScene.name : null,
+      ...extra
+    };
+  }
+
+  /**
+   * Write the current state to a slot
+   * @returns {Promise<Object>} { success, reason, meta }
+   */
+  async save(slotName, extraMeta = {}) {
+    if (!this.backend) {
+      return { success: false, reason: 'noStorage' };
+    }
+    
+    const state = JSON.parse(JSON.stringify(this.serialize()));
+    const meta = this.createMetadata(slotName, extraMeta);
+    const record = {
+      version: SAVE_VERSION,
+      checksum: SaveManager.checksum(JSON.stringify(state)),
+      meta,
+      state
+    };
+    
+    try {
+      await this.backend.write(this.keyPrefix + slotName, JSON.stringify(record));
+    } catch (error) {
+      console.warn(`Could not write save slot '${slotName}':`, error);
+      return { success: false, reason: 'writeFailed', error };
+    }
+    
+    this.engine.eventBus.emit('save:saved', { slot: slotName, meta });
+    return { success: true, meta };
+  }
+
+  /**
+   * Read, verify and migrate a save record without applying it
+   */
+  async read(slotName) {
+    if (!this.backend) {
+      return { success: false, reason: 'noStorage' };
+    }
+    
+    let record;
+    try {
+      const stored = await this.backend.read(this.keyPrefix + slotName);
+      if (!stored) {
+        return { success: false, reason: 'notFound' };
+      }
+      record = JSON.parse(stored);
+    } catch (error) {
+      return { success: false, reason: 'corrupt', error };
+    }
+    
+    if (!record || !record.state || SaveManager.checksum(JSON.stringify(record.state)) !== record.checksum) {
+      return { success: false, reason: 'corrupt' };
+    }
+    
+    if (record.version > SAVE_VERSION) {
+      return { success: false, reason: 'unsupportedVersion' };
+    }
+    
+    while (record.version < SAVE_VERSION) {
+      const migrate = SaveManager.migrations.get(record.version);
+      if (!migrate) {
+        return { success: false, reason: 'missingMigration', version: record.version };
+      }
+      record = { ...migrate(record), version: record.version + 1 };
+    }
+    
+    return { success: true, record };
+  }
+
+  /**
+   * Load a slot and apply it to the engine
+   * @returns {Promise<Object>} { success, reason, meta }
+   */
+  async load(slotName) {
+    const result = await this.read(slotName);
+    
+    if (!result.success) {
+      console.warn(`Could not load save slot '${slotName}': ${result.reason}`);
+      this.engine.eventBus.emit('save:loadFailed', { slot: slotName, reason: result.reason });
+      return result;
+    }
+    
+    await this.restore(result.record.state);
+    this.engine.eventBus.emit('save:loaded', { slot: slotName, meta: result.record.meta });
+    
+    return { success: true, meta: result.record.meta };
+  }
+
+  /**
+   * Apply a captured state, waiting for a saved scene to finish loading so the
+   * entities it spawns get their saved values rather than replacing them
+   */
+  async restore(state) {
+    const engine = this.engine;
+    
+    engine.dataManager.data = { ...state.data };
+    
+    const baseScene = engine.getBaseScene();
+    if (state.scene && engine.scenes.has(state.scene) && 
+        (!baseScene || baseScene.name !== state.scene)) {
+      await engine.loadScene(state.scene);
+    }
+    
+    // Characters the scene didn't spawn are recreated
+    state.characters.forEach(saved => {
+      let character = engine.getEntity(saved.id);
+      
+      if (!(character instanceof Character)) {
+        character = new Character(saved.id, saved.name);
+        if (engine.getBaseScene()) {
+          engine.getBaseScene().addEntity(character);
+        } else {
+          engine.addEntity(character);
+        }
+      }
+      
+      character.restoreState(saved);
+    });
+    
+    state.entities.forEach(saved => {
+      const entity = engine.getEntity(saved.id);
+      if (entity) {
+        entity.x = saved.x;
+        entity.y = saved.y;
+        entity.active = saved.active;
+        entity.visible = saved.visible;
+      }
+    });
+    
+    engine.gameState.player = state.gameState.player ? engine.getEntity(state.gameState.player) || null : null;
+    engine.gameState.gold = state.gameState.gold || 0;
+    engine.gameState.stats = { ...state.gameState.stats };
+    engine.questManager.restore(state.gameState.quests);
+    engine.rng.setState(state.rng);
+    engine.gameTime = state.gameTime || 0;
+  }
+
+  /**
+   * Metadata for every save slot, newest first. Unreadable slots are listed as corrupt.
+   */
+  async listSlots() {
+    if (!this.backend) return [];
+    
+    const keys = (await this.backend.keys()).filter(key => String(key).startsWith(this.keyPrefix));
+    const slots = await Promise.all(keys.map(async key => {
+      const slot = String(key).slice(this.keyPrefix.length);
+      const result = await this.read(slot);
+      return result.success ? { ...result.record.meta, slot } : { slot, corrupt: true };
+    }));
+    
+    return slots.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  }
+
+  async deleteSlot(slotName) {
+    if (!this.backend) return false;
+    
+    await this.backend.remove(this.keyPrefix + slotName);
+    return true;
+  }
+}
+
+SaveManager.migrations = new Map();
+
+// ============================================================================
+// TILEMAP
+// ============================================================================
+
+// Tiled stores flip/rotation flags in the top bits of each global tile id
+const TILE_FLIP_HORIZONTAL = 0x80000000;
+const TILE_FLIP_VERTICAL = 0x40000000;
+const TILE_FLIP_DIAGONAL = 0x20000000;
+const TILE_GID_MASK = 0x0FFFFFFF;
+
+/**
+ * Orthogonal tile map imported from Tiled JSON (.tmj). Tile layers are drawn
+ * in chunks cached to offscreen canvases, object layers hold spawns and
+ * triggers, and a collision grid is built from the layer named by
+ * `collisionLayer` plus any tile or layer with a `collides` property.
+ * Tiles in tilesets without an image are drawn with their `color` property.
+ */
+class Tilemap {
+  constructor(data = {}, options = {}) {
+    this.width = data.width || 0;
+    this.height = data.height || 0;
+    this.tileWidth = data.tilewidth || 32;
+    this.tileHeight = data.tileheight || 32;
+    this.properties = Tilemap.parseProperties(data.properties);
+    this.chunkSize = options.chunkSize || 16;
+    this.collisionLayerName = options.collisionLayer || 'collision';
+    this.solidBounds = options.solidBounds !== undefined ? options.solidBounds : true;
+    
+    if (data.orientation && data.orientation !== 'orthogonal') {
+      console.warn(`Tilemap orientation '${data.orientation}' is not supported; drawing as orthogonal`);
+    }
+    
+    if (data.infinite) {
+      console.warn('Infinite Tiled maps are not supported; export with a fixed size');
+    }
+    
+    this.tilesets = (data.tilesets || [])
+      .map(tileset => this.createTileset(tileset, options.basePath || ''))
+      .sort((a, b) => a.firstGid - b.firstGid);
+    
+    this.layers = [];
+    this.addLayers(data.layers || [], { x: 0, y: 0, opacity: 1, visible: true });
+    
+    this.collision = new Uint8Array(this.width * this.height);
+    this.buildCollision();
+  }
+
+  /**
+   * Build a map from Tiled JSON with embedded tilesets
+   */
+  static fromTiled(data, options = {}) {
+    return new Tilemap(data, options);
+  }
+
+  /**
+   * Fetch a Tiled map, any external tilesets it references and their images
+   * @returns {Promise<Tilemap|null>}
+   */
+  static async load(url, options = {}) {
+    const fetchJSON = options.fetchJSON || (async (path) => {
+      const response = await fetch(path);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return response.json();
+    });
+    const basePath = url.substring(0, url.lastIndexOf('/') + 1);
+    
+    try {
+      const data = await fetchJSON(url);
+      
+      data.tilesets = await Promise.all((data.tilesets || []).map(async (tileset) => {
+        if (!tileset.source) return tileset;
+        
+        const external = await fetchJSON(basePath + tileset.source);
+        const sourceDir = tileset.source.substring(0, tileset.source.lastIndexOf('/') + 1);
+        return {
+          ...external,
+          firstgid: tileset.firstgid,
+          image: external.image ? sourceDir + external.image : external.image
+        };
+      }));
+      
+      const map = new Tilemap(data, { ...options, basePath });
+      
+      if (options.loadImages !== false) {
+        await map.loadImages();
+      }
+      
+      return map;
+    } catch (error) {
+      console.error(`Could not load tilemap '${url}':`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Tiled stores custom properties as [{ name, type, value }]
+   */
+  static parseProperties(properties) {
+    if (!properties) return {};
+    if (!Array.isArray(properties)) return { ...properties };
+    
+    const parsed = {};
+    properties.forEach(property => {
+      parsed[property.name] = property.value;
+    });
+    return parsed;
+  }
+
+  createTileset(data, basePath) {
+    const tileWidth = data.tilewidth || this.tileWidth;
+    const tiles = new Map();
+    
+    (data.tiles || []).forEach(tile => {
+      tiles.set(tile.id, {
+        type: tile.type || tile.class || '',
+        properties: Tilemap.parseProperties(tile.properties)
+      });
+    });
+    
+    return {
+      name: data.name || '',
+      firstGid: data.firstgid || 1,
+      tileWidth,
+      tileHeight: data.tileheight || this.tileHeight,
+      columns: data.columns || Math.floor((data.imagewidth || tileWidth) / tileWidth) || 1,
+      tileCount: data.tilecount || 0,
+      margin: data.margin || 0,
+      spacing: data.spacing || 0,
+      imageSource: data.image ? basePath + data.image : null,
+      image: null,
+      ready: !data.image,
+      properties: Tilemap.parseProperties(data.properties),
+      tiles
+    };
+  }
+
+  /**
+   * Flatten Tiled group layers, accumulating their offset, opacity and visibility
+   */
+  addLayers(layers, parent) {
+    layers.forEach(data => {
+      const layer = {
+        name: data.name || '',
+        type: data.type,
+        visible: parent.visible && data.visible !== false,
+        opacity: parent.opacity * (data.opacity !== undefined ? data.opacity : 1),
+        offsetX: parent.x + (data.offsetx || 0),
+        offsetY: parent.y + (data.offsety || 0),
+        properties: Tilemap.parseProperties(data.properties)
+      };
+      
+      if (data.type === 'group') {
+        this.addLayers(data.layers || [], {
+          x: layer.offsetX,
+          y: layer.offsetY,
+          opacity: layer.opacity,
+          visible: layer.visible
+        });
+        return;
+      }
+      
+      if (data.type === 'tilelayer') {
+        layer.width = data.width || this.width;
+        layer.height = data.height || this.height;
+        layer.data = Tilemap.decodeLayerData(data, layer.width * layer.height);
+        layer.chunks = new Map();
+      } else if (data.type === 'objectgroup') {
+        layer.objects = (data.objects || []).map(object => this.parseObject(object, layer));
+      } else {
+        // Image layers and anything newer are kept for their properties only
+        layer.imageSource = data.image || null;
+      }
+      
+      this.layers.push(layer);
+    });
+  }
+
+  static decodeLayerData(data, size) {
+    if (Array.isArray(data.data)) {
+      return Uint32Array.from(data.data);
+    }
+    
+    if (data.encoding === 'base64' && !data.compression) {
+      const binary = typeof atob === 'function' ? 
+        atob(data.data) : Buffer.from(data.data, 'base64').toString('binary');
+      const gids = new Uint32Array(size);
+      
+      for (let i = 0; i < size; i++) {
+        const offset = i * 4;
+        gids[i] = (binary.charCodeAt(offset) |
+          binary.charCodeAt(offset + 1) << 8 |
+          binary.charCodeAt(offset + 2) << 16 |
+          binary.charCodeAt(offset + 3) << 24) >>> 0;
+      }
+      return gids;
+    }
+    
+    console.error(`Unsupported tile layer encoding '${data.encoding}/${data.compression}' in '${data.name}'`);
+    return new Uint32Array(size);
+  }
+
+  parseObject(data, layer) {
+    const tile = data.gid ? this.getTileInfo(data.gid) : null;
+    
+    return {
+      id: data.id,
+      name: data.name || '',
+      type: data.type || data.class || (tile ? tile.type : ''),
+      layer: layer.name,
+      x: data.x + layer.offsetX,
+      // Tile objects are anchored bottom-left in Tiled
+      y: data.y + layer.offsetY - (data.gid ? data.height || 0 : 0),
+      width: data.width || 0,
+      height: data.height || 0,
+      rotation: data.rotation || 0,
+      gid: data.gid || 0,
+      point: !!data.point,
+      ellipse: !!data.ellipse,
+      polygon: data.polygon || data.polyline || null,
+      properties: {
+        ...(tile ? tile.properties : {}),
+        ...Tilemap.parseProperties(data.properties)
+      }
+    };
+  }
+
+  async loadImages() {
+    if (typeof Image === 'undefined') return;
+    
+    await Promise.all(this.tilesets.filter(tileset => tileset.imageSource).map(tileset => {
+      return new Promise(resolve => {
+        const image = new Image();
+        image.onload = () => {
+          this.setTilesetImage(tileset.name, image);
+          resolve(true);
+        };
+        image.onerror = () => {
+          console.warn(`Could not load tileset image '${tileset.imageSource}'`);
+          resolve(false);
+        };
+        image.src = tileset.imageSource;
+      });
+    }));
+  }
+
+  /**
+   * Supply a tileset's image (e.g. from an asset loader) and redraw cached chunks
+   */
+  setTilesetImage(tilesetName, image) {
+    const tileset = this.tilesets.find(t => t.name === tilesetName);
+    if (!tileset) {
+      console.warn(`Tileset '${tilesetName}' not found`);
+      return false;
+    }
+    
+    tileset.image = image;
+    tileset.ready = true;
+    this.invalidateChunks();
+    return true;
+  }
+
+  get widthInPixels() {
+    return this.width * this.tileWidth;
+  }
+
+  get heightInPixels() {
+    return this.height * this.tileHeight;
+  }
+
+  getBounds() {
+    return { x: 0, y: 0, width: this.widthInPixels, height: this.heightInPixels };
+  }
+
+  getLayer(name) {
+    return this.layers.find(layer => layer.name === name) || null;
+  }
+
+  getTileset(gid) {
+    const id = gid & TILE_GID_MASK;
+    
+    for (let i = this.tilesets.length - 1; i >= 0; i--) {
+      if (this.tilesets[i].firstGid <= id) {
+        return this.tilesets[i];
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Type and properties of a tile, or null for empty or unknown tiles
+   */
+  getTileInfo(gid) {
+    const tileset = this.getTileset(gid);
+    if (!tileset) return null;
+    
+    const localId = (gid & TILE_GID_MASK) - tileset.firstGid;
+    const tile = tileset.tiles.get(localId);
+    
+    return {
+      tileset,
+      localId,
+      type: tile ? tile.type : '',
+      properties: tile ? tile.properties : {}
+    };
+  }
+
+  getTile(layerName, tileX, tileY) {
+    const layer = this.getLayer(layerName);
+    if (!layer || !layer.data || !this.inBounds(tileX, tileY)) return 0;
+    
+    return layer.data[tileY * layer.width + tileX];
+  }
+
+  /**
+   * Change a tile at runtime; the chunk it falls in is redrawn and collision updated
+   */
+  setTile(layerName, tileX, tileY, gid) {
+    const layer = this.getLayer(layerName);
+    if (!layer || !layer.data || !this.inBounds(tileX, tileY)) return false;
+    
+    layer.data[tileY * layer.width + tileX] = gid;
+    layer.chunks.delete(this.getChunkKey(
+      Math.floor(tileX / this.chunkSize),
+      Math.floor(tileY / this.chunkSize)
+    ));
+    this.collision[tileY * this.width + tileX] = this.isTileSolid(tileX, tileY) ? 1 : 0;
+    
+    return true;
+  }
+
+  getObjects(layerName) {
+    const layer = this.getLayer(layerName);
+    return layer && layer.objects ? layer.objects : [];
+  }
+
+  /**
+   * All objects of a Tiled type/class across object layers (e.g. 'spawn', 'trigger')
+   */
+  getObjectsByType(type) {
+    const objects = [];
+    this.layers.forEach(layer => {
+      if (layer.objects) {
+        objects.push(...layer.objects.filter(object => object.type === type));
+      }
+    });
+    return objects;
+  }
+
+  findObject(name) {
+    for (const layer of this.layers) {
+      const object = layer.objects ? layer.objects.find(o => o.name === name) : null;
+      if (object) return object;
+    }
+    return null;
+  }
+
+  // ----- Collision -----
+
+  buildCollision() {
+    for (let tileY = 0; tileY < this.height; tileY++) {
+      for (let tileX = 0; tileX < this.width; tileX++) {
+        this.collision[tileY * this.width + tileX] = this.isTileSolid(tileX, tileY) ? 1 : 0;
+      }
+    }
+  }
+
+  isTileSolid(tileX, tileY) {
+    return this.layers.some(layer => {
+      if (!layer.data) return false;
+      
+      const gid = layer.data[tileY * layer.width + tileX];
+      if (!gid) return false;
+      
+      if (layer.name === this.collisionLayerName || layer.properties.collides) {
+        return true;
+      }
+      
+      const info = this.getTileInfo(gid);
+      return !!(info && info.properties.collides);
+    });
+  }
+
+  inBounds(tileX, tileY) {
+    return tileX >= 0 && tileY >= 0 && tileX < this.width && tileY < this.height;
+  }
+
+  isSolid(tileX, tileY) {
+    if (!this.inBounds(tileX, tileY)) {
+      return this.solidBounds;
+    }
+    return this.collision[tileY * this.width + tileX] === 1;
+  }
+
+  isSolidAt(x, y) {
+    const tile = this.worldToTile(x, y);
+    return this.isSolid(tile.x, tile.y);
+  }
+
+  worldToTile(x, y) {
+    return { x: Math.floor(x / this.tileWidth), y: Math.floor(y / this.tileHeight) };
+  }
+
+  /**
+   * Top-left world position of a tile
+   */
+  tileToWorld(tileX, tileY) {
+    return { x: tileX * this.tileWidth, y: tileY * this.tileHeight };
+  }
+
+  rectCollides(x, y, width = 0, height = 0) {
+    const startX = Math.floor(x / this.tileWidth);
+    const startY = Math.floor(y / this.tileHeight);
+    const endX = Math.max(startX, Math.ceil((x + width) / this.tileWidth) - 1);
+    const endY = Math.max(startY, Math.ceil((y + height) / this.tileHeight) - 1);
+    
+    for (let tileY = startY; tileY <= endY; tileY++) {
+      for (let tileX = startX; tileX <= endX; tileX++) {
+        if (this.isSolid(tileX, tileY)) return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Move a rectangle by (dx, dy), stopping flush against solid tiles.
+   * Axes resolve separately so movement slides along walls, and long moves
+   * are stepped at most one tile at a time so they cannot tunnel.
+   * @returns {{x: number, y: number, blockedX: boolean, blockedY: boolean}}
+   */
+  moveRect(rect, dx, dy) {
+    const width = rect.width || 0;
+    const height = rect.height || 0;
+    const steps = Math.max(1, Math.ceil(Math.max(
+      Math.abs(dx) / this.tileWidth,
+      Math.abs(dy) / this.tileHeight
+    )));
+    const result = { x: rect.x, y: rect.y, blockedX: false, blockedY: false };
+    
+    for (let i = 0; i < steps; i++) {
+      if (!result.blockedX && dx !== 0) {
+        const x = result.x + dx / steps;
+        
+        if (this.rectCollides(x, result.y, width, height)) {
+          result.x = dx > 0 ? 
+            Math.ceil((result.x + width) / this.tileWidth) * this.tileWidth - width : 
+            Math.floor(result.x / this.tileWidth) * this.tileWidth;
+          result.blockedX = true;
+        } else {
+          result.x = x;
+        }
+      }
+      
+      if (!result.blockedY && dy !== 0) {
+        const y = result.y + dy / steps;
+        
+        if (this.rectCollides(result.x, y, width, height)) {
+          result.y = dy > 0 ? 
+            Math.ceil((result.y + height) / this.tileHeight) * this.tileHeight - height : 
+            Math.floor(result.y / this.tileHeight) * this.tileHeight;
+          result.blockedY = true;
+        } else {
+          result.y = y;
+        }
+      }
+    }
+    
+    return result;
+  }
+
+  // ----- Rendering -----
+
+  getChunkKey(chunkX, chunkY) {
+    return `${chunkX},${chunkY}`;
+  }
+
+  invalidateChunks() {
+    this.layers.forEach(layer => {
+      if (layer.chunks) layer.chunks.clear();
+    });
+  }
+
+  /**
+   * Draw the tile layers visible in a world-space view rectangle
+   * @param {CanvasRenderingContext2D} ctx - Context already transformed to world space
+   * @param {{x, y, width, height}} view - Visible world area
+   * @param {Object} options - { layers: names to draw (defaults to all visible) }
+   */
+  render(ctx, view, options = {}) {
+    const chunkWidth = this.chunkSize * this.tileWidth;
+    const chunkHeight = this.chunkSize * this.tileHeight;
+    
+    this.layers.forEach(layer => {
+      if (!layer.data) return;
+      if (options.layers ? !options.layers.includes(layer.name) : !layer.visible) return;
+      
+      const left = view.x - layer.offsetX;
+      const top = view.y - layer.offsetY;
+      const startX = Math.max(0, Math.floor(left / chunkWidth));
+      const startY = Math.max(0, Math.floor(top / chunkHeight));
+      const endX = Math.min(Math.ceil(layer.width / this.chunkSize), Math.ceil((left + view.width) / chunkWidth));
+      const endY = Math.min(Math.ceil(layer.height / this.chunkSize), Math.ceil((top + view.height) / chunkHeight));
+      
+      ctx.save();
+      ctx.globalAlpha *= layer.opacity;
+      ctx.translate(layer.offsetX, layer.offsetY);
+      
+      for (let chunkY = startY; chunkY < endY; chunkY++) {
+        for (let chunkX = startX; chunkX < endX; chunkX++) {
+          this.renderChunk(ctx, layer, chunkX, chunkY);
+        }
+      }
+      
+      ctx.restore();
+    });
+  }
+
+  renderChunk(ctx, layer, chunkX, chunkY) {
+    const key = this.getChunkKey(chunkX, chunkY);
+    let chunk = layer.chunks.get(key);
+    
+    if (!chunk) {
+      chunk = this.bakeChunk(layer, chunkX, chunkY);
+      
+      if (!chunk) {
+        // No offscreen canvas available (or tilesets still loading) - draw tiles directly
+        this.drawTiles(ctx, layer, chunkX, chunkY, chunkX * this.chunkSize * this.tileWidth, 
+          chunkY * this.chunkSize * this.tileHeight);
+        return;
+      }
+      
+      layer.chunks.set(key, chunk);
+    }
+    
+    ctx.drawImage(
+      chunk,
+      chunkX * this.chunkSize * this.tileWidth - this.getChunkPadding(),
+      chunkY * this.chunkSize * this.tileHeight - this.getChunkPadding()
+    );
+  }
+
+  /**
+   * Oversized tiles extend up and right of their cell, so chunk canvases get
+   * room for the largest tileset tile
+   */
+  getChunkPadding() {
+    return this.tilesets.reduce((padding, tileset) => Math.max(
+      padding,
+      tileset.tileWidth - this.tileWidth,
+      tileset.tileHeight - this.tileHeight
+    ), 0);
+  }
+
+  bakeChunk(layer, chunkX, chunkY) {
+    if (!this.tilesets.every(tileset => tileset.ready)) return null;
+    
+    const padding = this.getChunkPadding();
+    const width = this.chunkSize * this.tileWidth + padding * 2;
+    const height = this.chunkSize * this.tileHeight + padding * 2;
+    let canvas = null;
+    
+    if (typeof OffscreenCanvas !== 'undefined') {
+      canvas = new OffscreenCanvas(width, height);
+    } else if (typeof document !== 'undefined') {
+      canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+    }
+    
+    if (!canvas) return null;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    this.drawTiles(ctx, layer, chunkX, chunkY, padding, padding);
+    
+    return canvas;
+  }
+
+  /**
+   * Draw one chunk's tiles with the chunk's top-left corner at (originX, originY)
+   */
+  drawTiles(ctx, layer, chunkX, chunkY, originX, originY) {
+    const startX = chunkX * this.chunkSize;
+    const startY = chunkY * this.chunkSize;
+    const endX = Math.min(startX + this.chunkSize, layer.width);
+    const endY = Math.min(startY + this.chunkSize, layer.height);
+    
+    for (let tileY = startY; tileY < endY; tileY++) {
+      for (let tileX = startX; tileX < endX; tileX++) {
+        const gid = layer.data[tileY * layer.width + tileX];
+        
+        if (gid) {
+          this.drawTile(
+            ctx,
+            gid,
+            originX + (tileX - startX) * this.tileWidth,
+            originY + (tileY - startY) * this.tileHeight
+          );
+        }
+      }
+    }
+  }
+
+  drawTile(ctx, gid, x, y) {
+    const info = this.getTileInfo(gid);
+    if (!info) return;
+    
+    const tileset = info.tileset;
+    // Tiles larger than the map grid are bottom-aligned to their cell, as in Tiled
+    const drawY = y + this.tileHeight - tileset.tileHeight;
+    
+    if (!tileset.image) {
+      if (info.properties.color) {
+        ctx.fillStyle = info.properties.color;
+        ctx.fillRect(x, drawY, tileset.tileWidth, tileset.tileHeight);
+      }
+      return;
+    }
+    
+    const sourceX = tileset.margin + (info.localId % tileset.columns) * (tileset.tileWidth + tileset.spacing);
+    const sourceY = tileset.margin + Math.floor(info.localId / tileset.columns) * (tileset.tileHeight + tileset.spacing);
+    const flipH = (gid & TILE_FLIP_HORIZONTAL) !== 0;
+    const flipV = (gid & TILE_FLIP_VERTICAL) !== 0;
+    const flipD = (gid & TILE_FLIP_DIAGONAL) !== 0;
+    
+    if (!flipH && !flipV && !flipD) {
+      ctx.drawImage(tileset.image, sourceX, sourceY, tileset.tileWidth, tileset.tileHeight,
+        x, drawY, tileset.tileWidth, tileset.tileHeight);
+      return;
+    }
+    
+    ctx.save();
+    ctx.translate(x + tileset.tileWidth / 2, drawY + tileset.tileHeight / 2);
+    // Tiled applies the diagonal flip (a transpose) before the horizontal and vertical ones
+    ctx.scale(flipH ? -1 : 1, flipV ? -1 : 1);
+    if (flipD) {
+      ctx.rotate(Math.PI / 2);
+      ctx.scale(1, -1);
+    }
+    ctx.drawImage(tileset.image, sourceX, sourceY, tileset.tileWidth, tileset.tileHeight,
+      -tileset.tileWidth / 2, -tileset.tileHeight / 2, tileset.tileWidth, tileset.tileHeight);
+    ctx.restore();
+  }
+}
+
+// ============================================================================
+// COLLISION SYSTEM
+// ============================================================================
+
+// Mask that matches every layer
+const COLLISION_MASK_ALL = 0xFFFFFFFF;
+
+/**
+ * Collider component. Add it to an entity as 'collider':
+ *   entity.addComponent('collider', new Collider({ width: 24, height: 24, layer: 'enemy', mask: ['player', 'wall'] }))
+ * AABBs are placed with their top-left corner at the entity position plus
+ * offset; circles ({ radius }) are centred there. Triggers never push anything,
+ * they only report overlaps; an `area` on a trigger announces 'area:entered'
+ * when the player walks in.
+ */
+class Collider {
+  constructor(config = {}) {
+    this.entity = null;
+    this.enabled = config.enabled !== undefined ? config.enabled : true;
+    this.shape = config.shape || (config.radius ? 'circle' : 'aabb');
+    this.width = config.width || 0;
+    this.height = config.height || 0;
+    this.radius = config.radius || 0;
+    this.offsetX = config.offsetX || 0;
+    this.offsetY = config.offsetY || 0;
+    this.layer = CollisionSystem.resolveLayers(config.layer || 'default');
+    this.mask = config.mask !== undefined ? CollisionSystem.resolveLayers(config.mask) : COLLISION_MASK_ALL;
+    this.trigger = config.trigger || false;
+    this.solid = config.solid !== undefined ? config.solid : !this.trigger;
+    this.isStatic = config.isStatic || false;
+    this.area = config.area || null;
+  }
+
+  init() {
+    // Size the entity from the collider so map movement uses the same box
+    const bounds = this.getBounds();
+    if (!this.entity.width && !this.entity.height) {
+      this.entity.width = bounds.width;
+      this.entity.height = bounds.height;
+    }
+  }
+
+  update(delta) {
+    // Collisions are resolved by the CollisionSystem after entities update
+  }
+
+  getBounds() {
+    const x = this.entity.x + this.offsetX;
+    const y = this.entity.y + this.offsetY;
+    
+    if (this.shape === 'circle') {
+      return { x: x - this.radius, y: y - this.radius, width: this.radius * 2, height: this.radius * 2 };
+    }
+    
+    return { x, y, width: this.width, height: this.height };
+  }
+
+  /**
+   * Whether this collider wants to hear about another one
+   */
+  accepts(other) {
+    return (this.mask & other.layer) !== 0;
+  }
+}
+
+/**
+ * Uniform grid bucketing bounds by cell, so each collider is only tested
+ * against its neighbours
+ */
+class SpatialHash {
+  constructor(cellSize = 64) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  clear() {
+    this.cells.clear();
+  }
+
+  forEachCell(bounds, callback) {
+    const startX = Math.floor(bounds.x / this.cellSize);
+    const startY = Math.floor(bounds.y / this.cellSize);
+    const endX = Math.floor((bounds.x + bounds.width) / this.cellSize);
+    const endY = Math.floor((bounds.y + bounds.height) / this.cellSize);
+    
+    for (let cellY = startY; cellY <= endY; cellY++) {
+      for (let cellX = startX; cellX <= endX; cellX++) {
+        callback(`${cellX},${cellY}`);
+      }
+    }
+  }
+
+  insert(item, bounds) {
+    this.forEachCell(bounds, key => {
+      const cell = this.cells.get(key);
+      if (cell) {
+        cell.push(item);
+      } else {
+        this.cells.set(key, [item]);
+      }
+    });
+  }
+
+  /**
+   * Items in every cell the bounds touch (a superset of actual overlaps)
+   */
+  query(bounds) {
+    const found = new Set();
+    
+    this.forEachCell(bounds, key => {
+      const cell = this.cells.get(key);
+      if (cell) {
+        cell.forEach(item => found.add(item));
+      }
+    });
+    
+    return found;
+  }
+}
+
+/**
+ * Finds overlapping colliders each tick, pushes solid bodies apart and
+ * reports contacts on the EventBus:
+ * 'collision:started' / 'collision:ended' for solid pairs, and
+ * 'trigger:entered' / 'trigger:stayed' / 'trigger:exited' for triggers.
+ * Pushes go through the map, so bodies are never shoved into walls.
+ *
+ * The engine argument may be any host providing this interface (RPGEngine
+ * does; the index.html demo uses its own):
+ *   entities          - Map or array of entities, walked with forEach()
+ *   eventBus          - EventBus the contact events are emitted on
+ *   currentScene      - optional; its `map` blocks pushes
+ *   map               - optional Tilemap used when there is no currentScene
+ *   gameState.player  - optional; the entity that triggers 'area:entered'
+ * Entities need x and y, are skipped when `active` is false, and give their
+ * Collider through getComponent('collider') or an `entity.collider` property.
+ */
+class CollisionSystem {
+  constructor(engine, config = {}) {
+    this.engine = engine;
+    this.hash = new SpatialHash(config.cellSize || 64);
+    this.colliders = [];
+    this.contacts = new Map();
+  }
+
+  /**
+   * Register a named layer, taking the next free bit
+   */
+  static defineLayer(name) {
+    if (CollisionSystem.layers[name] === undefined) {
+      const used = Object.keys(CollisionSystem.layers).length;
+      if (used >= 32) {
+        console.warn(`Cannot define collision layer '${name}': all 32 layers are in use`);
+        return 0;
+      }
+      CollisionSystem.layers[name] = 1 << used;
+    }
+    return CollisionSystem.layers[name];
+  }
+
+  /**
+   * Turn a layer name, array of names or bitmask into a bitmask
+   */
+  static resolveLayers(layers) {
+    if (typeof layers === 'number') return layers;
+    
+    if (Array.isArray(layers)) {
+      return layers.reduce((mask, layer) => mask | CollisionSystem.resolveLayers(layer), 0);
+    }
+    
+    if (CollisionSystem.layers[layers] === undefined) {
+      console.warn(`Unknown collision layer: ${layers}`);
+      return 0;
+    }
+    
+    return CollisionSystem.layers[layers];
+  }
+
+  /**
+   * Gather active colliders and rebuild the broadphase
+   */
+  rebuild() {
+    this.colliders = [];
+    this.hash.clear();
+    
+    this.engine.entities.forEach(entity => {
+      if (entity.active === false) return;
+      const collider = entity.getComponent ? entity.getComponent('collider') : entity.collider;
+      
+      if (collider && collider.enabled) {
+        collider.index = this.colliders.length;
+        this.colliders.push(collider);
+        this.hash.insert(collider, collider.getBounds());
+      }
+    });
+  }
+
+  update(delta) {
+    this.rebuild();
+    
+    const contacts = new Map();
+    
+    this.colliders.forEach(a => {
+      this.hash.query(a.getBounds()).forEach(b => {
+        // Test each pair once
+        if (b.index <= a.index) return;
+        if (!a.accepts(b) && !b.accepts(a)) return;
+        
+        const manifold = CollisionSystem.intersect(a, b);
+        if (!manifold) return;
+        
+        if (a.trigger || b.trigger) {
+          if (a.trigger && a.accepts(b)) this.addContact(contacts, a, b);
+          if (b.trigger && b.accepts(a)) this.addContact(contacts, b, a);
+        } else if (a.solid && b.solid && a.accepts(b) && b.accepts(a)) {
+          this.resolve(a, b, manifold);
+          this.addContact(contacts, a, b);
+        }
+      });
+    });
+    
+    this.dispatchContacts(contacts);
+  }
+
+  addContact(contacts, a, b) {
+    contacts.set(`${a.entity.id}|${b.entity.id}`, { a, b });
+  }
+
+  /**
+   * Compare this tick's contacts with the last to emit enter/stay/exit
+   */
+  dispatchContacts(contacts) {
+    const eventBus = this.engine.eventBus;
+    const previous = this.contacts;
+    this.contacts = contacts;
+    
+    contacts.forEach(({ a, b }, key) => {
+      const isNew = !previous.has(key);
+      
+      if (!a.trigger) {
+        if (isNew) {
+          eventBus.emit('collision:started', { entity: a.entity, other: b.entity });
+        }
+        return;
+      }
+      
+      if (isNew) {
+        eventBus.emit('trigger:entered', { trigger: a.entity, other: b.entity, area: a.area });
+        
+        if (a.area && this.engine.gameState && b.entity === this.engine.gameState.player) {
+          eventBus.emit('area:entered', { area: a.area, entity: b.entity });
+        }
+      } else {
+        eventBus.emit('trigger:stayed', { trigger: a.entity, other: b.entity, area: a.area });
+      }
+    });
+    
+    previous.forEach(({ a, b }, key) => {
+      if (contacts.has(key)) return;
+      
+      if (a.trigger) {
+        eventBus.emit('trigger:exited', { trigger: a.entity, other: b.entity, area: a.area });
+      } else {
+        eventBus.emit('collision:ended', { entity: a.entity, other: b.entity });
+      }
+    });
+  }
+
+  /**
+   * Narrowphase test. Returns { normalX, normalY, depth } pointing from a to b, or null
+   */
+  static intersect(a, b) {
+    if (a.shape === 'circle' && b.shape === 'circle') {
+      return CollisionSystem.intersectCircles(a, b);
+    }
+    
+    if (a.shape === 'circle' || b.shape === 'circle') {
+      const circle = a.shape === 'circle' ? a : b;
+      const box = circle === a ? b : a;
+      const manifold = CollisionSystem.intersectCircleBox(circle, box);
+      
+      // Flip the normal when the circle is b, so it still points from a to b
+      if (manifold && circle === b) {
+        manifold.normalX = -manifold.normalX;
+        manifold.normalY = -manifold.normalY;
+      }
+      return manifold;
+    }
+    
+    return CollisionSystem.intersectBoxes(a, b);
+  }
+
+  static intersectBoxes(a, b) {
+    const boundsA = a.getBounds();
+    const boundsB = b.getBounds();
+    const overlapX = Math.min(boundsA.x + boundsA.width, boundsB.x + boundsB.width) - Math.max(boundsA.x, boundsB.x);
+    const overlapY = Math.min(boundsA.y + boundsA.height, boundsB.y + boundsB.height) - Math.max(boundsA.y, boundsB.y);
+    
+    if (overlapX <= 0 || overlapY <= 0) return null;
+    
+    // Separate along the axis of least penetration
+    if (overlapX < overlapY) {
+      const direction = boundsA.x + boundsA.width / 2 < boundsB.x + boundsB.width / 2 ? 1 : -1;
+      return { normalX: direction, normalY: 0, depth: overlapX };
+    }
+    
+    const direction = boundsA.y + boundsA.height / 2 < boundsB.y + boundsB.height / 2 ? 1 : -1;
+    return { normalX: 0, normalY: direction, depth: overlapY };
+  }
+
+  static intersectCircles(a, b) {
+    const dx = (b.entity.x + b.offsetX) - (a.entity.x + a.offsetX);
+    const dy = (b.entity.y + b.offsetY) - (a.entity.y + a.offsetY);
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const radii = a.radius + b.radius;
+    
+    if (distance >= radii) return null;
+    if (distance === 0) return { normalX: 1, normalY: 0, depth: radii };
+    
+    return { normalX: dx / distance, normalY: dy / distance, depth: radii - distance };
+  }
+
+  /**
+   * Circle against box; the normal points from the circle to the box
+   */
+  static intersectCircleBox(circle, box) {
+    const bounds = box.getBounds();
+    const centerX = circle.entity.x + circle.offsetX;
+    const centerY = circle.entity.y + circle.offsetY;
+    const closestX = Math.max(bounds.x, Math.min(centerX, bounds.x + bounds.width));
+    const closestY = Math.max(bounds.y, Math.min(centerY, bounds.y + bounds.height));
+    const dx = closestX - centerX;
+    const dy = closestY - centerY;
+    const distanceSq = dx * dx + dy * dy;
+    
+    if (distanceSq > 0) {
+      if (distanceSq >= circle.radius * circle.radius) return null;
+      
+      const distance = Math.sqrt(distanceSq);
+      return { normalX: dx / distance, normalY: dy / distance, depth: circle.radius - distance };
+    }
+    
+    // Centre inside the box - push out through the nearest edge
+    const edges = [
+      { normalX: 1, normalY: 0, depth: centerX - bounds.x },
+      { normalX: -1, normalY: 0, depth: bounds.x + bounds.width - centerX },
+      { normalX: 0, normalY: 1, depth: centerY - bounds.y },
+      { normalX: 0, normalY: -1, depth: bounds.y + bounds.height - centerY }
+    ];
+    const nearest = edges.reduce((best, edge) => edge.depth < best.depth ? edge : best);
+    nearest.depth += circle.radius;
+    return nearest;
+  }
+
+  /**
+   * Push two solid colliders apart; static colliders never move
+   */
+  resolve(a, b, manifold) {
+    if (a.isStatic && b.isStatic) return;
+    
+    const shareA = a.isStatic ? 0 : (b.isStatic ? 1 : 0.5);
+    const shareB = 1 - shareA;
+    
+    if (shareA > 0) {
+      this.push(a, -manifold.normalX * manifold.depth * shareA, -manifold.normalY * manifold.depth * shareA);
+    }
+    if (shareB > 0) {
+      this.push(b, manifold.normalX * manifold.depth * shareB, manifold.normalY * manifold.depth * shareB);
+    }
+  }
+
+  /**
+   * Move a collider's entity, stopping against solid tiles
+   */
+  push(collider, dx, dy) {
+    const entity = collider.entity;
+    
+    if (entity instanceof Entity) {
+      entity.moveBy(dx, dy);
+      return;
+    }
+    
+    const scene = this.engine.currentScene;
+    const map = scene ? scene.map : this.engine.map;
+    
+    if (!map) {
+      entity.x += dx;
+      entity.y += dy;
+      return;
+    }
+    
+    const bounds = collider.getBounds();
+    const result = map.moveRect(bounds, dx, dy);
+    entity.x += result.x - bounds.x;
+    entity.y += result.y - bounds.y;
+  }
+
+  /**
+   * Entities whose colliders overlap a rectangle, optionally filtered by layer mask.
+   * Queries see positions as of the last collision update.
+   */
+  queryRect(rect, mask = COLLISION_MASK_ALL) {
+    const resolvedMask = CollisionSystem.resolveLayers(mask);
+    const probe = { shape: 'aabb', getBounds: () => rect };
+    const entities = [];
+    
+    this.hash.query(rect).forEach(collider => {
+      if ((collider.layer & resolvedMask) && CollisionSystem.intersect(probe, collider)) {
+        entities.push(collider.entity);
+      }
+    });
+    
+    return entities;
+  }
+
+  /**
+   * Entities whose colliders overlap a circle - aggro radii, explosions
+   */
+  queryCircle(x, y, radius, mask = COLLISION_MASK_ALL) {
+    const resolvedMask = CollisionSystem.resolveLayers(mask);
+    const probe = { shape: 'circle', radius, offsetX: 0, offsetY: 0, entity: { x, y } };
+    const bounds = { x: x - radius, y: y - radius, width: radius * 2, height: radius * 2 };
+    const entities = [];
+    
+    this.hash.query(bounds).forEach(collider => {
+      if ((collider.layer & resolvedMask) && CollisionSystem.intersect(probe, collider)) {
+        entities.push(collider.entity);
+      }
+    });
+    
+    return entities;
+  }
+}
+
+// Built-in layers; add more with CollisionSystem.defineLayer()
+CollisionSystem.layers = {
+  default: 1,
+  player: 2,
+  enemy: 4,
+  npc: 8,
+  wall: 16,
+  trigger: 32,
+  pickup: 64,
+  projectile: 128
+};
+
+// ============================================================================
+// CAMERA
+// ============================================================================
+
+/**
+ * 2D camera over the world. Position is the top-left of the view in world
+ * units; width/height are the viewport in CSS pixels and pixelRatio maps
+ * those to canvas pixels, so zoom 1 draws one world unit per CSS pixel on
+ * any display. Follows a target with a deadzone and frame-rate independent
+ * smoothing, stays inside bounds, and supports shake and flash effects.
+ */
+class Camera {
+  constructor(config = {}) {
+    this.x = config.x || 0;
+    this.y = config.y || 0;
+    this.width = config.width || 800;
+    this.height = config.height || 600;
+    this.pixelRatio = config.pixelRatio || 
+      (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    this.minZoom = config.minZoom || 0.25;
+    this.maxZoom = config.maxZoom || 4;
+    this.zoom = 1;
+    this.setZoom(config.zoom || 1);
+    
+    // Follow settings - lerp is the fraction of the distance covered per 1/60s
+    this.target = null;
+    this.lerp = config.lerp !== undefined ? config.lerp : 0.1;
+    this.deadzone = config.deadzone || { width: 0, height: 0 };
+    this.followOffset = { x: 0, y: 0 };
+    this.bounds = config.bounds || null;
+    
+    // Effects
+    this.shakeState = null;
+    this.flashState = null;
+    this.shakeOffset = { x: 0, y: 0 };
+    this.rng = config.rng || fallbackRNG;
+  }
+
+  get viewWidth() {
+    return this.width / this.zoom;
+  }
+
+  get viewHeight() {
+    return this.height / this.zoom;
+  }
+
+  setViewport(width, height, pixelRatio = this.pixelRatio) {
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+    this.clampToBounds();
+  }
+
+  /**
+   * Zoom about the view centre (or a world point)
+   */
+  setZoom(zoom, focusX, focusY) {
+    const clamped = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    const anchorX = focusX !== undefined ? focusX : this.x + this.viewWidth / 2;
+    const anchorY = focusY !== undefined ? focusY : this.y + this.viewHeight / 2;
+    const ratioX = (anchorX - this.x) / this.viewWidth;
+    const ratioY = (anchorY - this.y) / this.viewHeight;
+    
+    this.zoom = clamped;
+    this.x = anchorX - ratioX * this.viewWidth;
+    this.y = anchorY - ratioY * this.viewHeight;
+    this.clampToBounds();
+    
+    return this.zoom;
+  }
+
+  /**
+   * Keep the view inside a world rectangle ({x, y, width, height}); null removes the limit
+   */
+  setBounds(bounds) {
+    this.bounds = bounds;
+    this.clampToBounds();
+  }
+
+  /**
+   * Follow an entity or anything with x/y (and optionally width/height)
+   */
+  follow(target, options = {}) {
+    this.target = target;
+    
+    if (options.lerp !== undefined) this.lerp = options.lerp;
+    if (options.deadzone) this.deadzone = options.deadzone;
+    this.followOffset = { x: options.offsetX || 0, y: options.offsetY || 0 };
+    
+    if (options.snap) {
+      const focus = this.getTargetFocus();
+      this.centerOn(focus.x, focus.y);
+    }
+  }
+
+  unfollow() {
+    this.target = null;
+  }
+
+  getTargetFocus() {
+    return {
+      x: this.target.x + (this.target.width || 0) / 2 + this.followOffset.x,
+      y: this.target.y + (this.target.height || 0) / 2 + this.followOffset.y
+    };
+  }
+
+  centerOn(x, y) {
+    this.x = x - this.viewWidth / 2;
+    this.y = y - this.viewHeight / 2;
+    this.clampToBounds();
+  }
+
+  clampToBounds() {
+    if (!this.bounds) return;
+    
+    // A view larger than the bounds is centred on them instead
+    const maxX = this.bounds.x + this.bounds.width - this.viewWidth;
+    const maxY = this.bounds.y + this.bounds.height - this.viewHeight;
+    
+    this.x = maxX < this.bounds.x ? 
+      this.bounds.x + (this.bounds.width - this.viewWidth) / 2 : 
+      Math.max(this.bounds.x, Math.min(this.x, maxX));
+    this.y = maxY < this.bounds.y ? 
+      this.bounds.y + (this.bounds.height - this.viewHeight) / 2 : 
+      Math.max(this.bounds.y, Math.min(this.y, maxY));
+  }
+
+  update(delta) {
+    if (this.target) {
+      this.updateFollow(delta);
+    }
+    
+    this.updateEffects(delta);
+  }
+
+  updateFollow(delta) {
+    const focus = this.getTargetFocus();
+    const centerX = this.x + this.viewWidth / 2;
+    const centerY = this.y + this.viewHeight / 2;
+    const halfDeadzoneX = this.deadzone.width / 2 / this.zoom;
+    const halfDeadzoneY = this.deadzone.height / 2 / this.zoom;
+    
+    // Only chase the part of the offset that leaves the deadzone
+    let dx = 0;
+    let dy = 0;
+    if (focus.x > centerX + halfDeadzoneX) dx = focus.x - (centerX + halfDeadzoneX);
+    if (focus.x < centerX - halfDeadzoneX) dx = focus.x - (centerX - halfDeadzoneX);
+    if (focus.y > centerY + halfDeadzoneY) dy = focus.y - (centerY + halfDeadzoneY);
+    if (focus.y < centerY - halfDeadzoneY) dy = focus.y - (centerY - halfDeadzoneY);
+    
+    const factor = this.lerp >= 1 ? 1 : 1 - Math.pow(1 - this.lerp, delta * 60);
+    
+    this.x += dx * factor;
+    this.y += dy * factor;
+    this.clampToBounds();
+  }
+
+  /**
+   * Shake the view; intensity is the peak offset in CSS pixels and fades out
+   */
+  shake(intensity = 8, duration = 0.3) {
+    // A weaker shake never cuts a stronger one short
+    if (this.shakeState && this.shakeState.intensity > intensity) return;
+    this.shakeState = { intensity, duration, elapsed: 0 };
+  }
+
+  /**
+   * Fill the screen with a colour that fades out
+   */
+  flash(color = '#ffffff', duration = 0.2, alpha = 1) {
+    this.flashState = { color, duration, alpha, elapsed: 0 };
+  }
+
+  updateEffects(delta) {
+    this.shakeOffset.x = 0;
+    this.shakeOffset.y = 0;
+    
+    if (this.shakeState) {
+      const shake = this.shakeState;
+      shake.elapsed += delta;
+      
+      if (shake.elapsed >= shake.duration) {
+        this.shakeState = null;
+      } else {
+        const strength = shake.intensity * (1 - shake.elapsed / shake.duration) / this.zoom;
+        this.shakeOffset.x = this.rng.range(-strength, strength);
+        this.shakeOffset.y = this.rng.range(-strength, strength);
+      }
+    }
+    
+    if (this.flashState) {
+      this.flashState.elapsed += delta;
+      if (this.flashState.elapsed >= this.flashState.duration) {
+        this.flashState = null;
+      }
+    }
+  }
+
+  /**
+   * Visible world rectangle, e.g. for Tilemap.render()
+   */
+  getView() {
+    return {
+      x: this.x + this.shakeOffset.x,
+      y: this.y + this.shakeOffset.y,
+      width: this.viewWidth,
+      height: this.viewHeight
+    };
+  }
+
+  /**
+   * Set the context transform so subsequent drawing is in world units.
+   * The translation snaps to whole canvas pixels to avoid tile seams.
+   */
+  apply(ctx) {
+    const scale = this.zoom * this.pixelRatio;
+    const view = this.getView();
+    
+    ctx.setTransform(scale, 0, 0, scale, Math.round(-view.x * scale), Math.round(-view.y * scale));
+  }
+
+  /**
+   * Draw screen-space effects; call after world drawing
+   */
+  renderEffects(ctx) {
+    if (!this.flashState) return;
+    
+    const flash = this.flashState;
+    
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = flash.alpha * (1 - flash.elapsed / flash.duration);
+    ctx.fillStyle = flash.color;
+    ctx.fillRect(0, 0, this.width * this.pixelRatio, this.height * this.pixelRatio);
+    ctx.restore();
+  }
+
+  /**
+   * World position to CSS pixels relative to the canvas
+   */
+  worldToScreen(x, y) {
+    const view = this.getView();
+    return { x: (x - view.x) * this.zoom, y: (y - view.y) * this.zoom };
+  }
+
+  /**
+   * CSS pixels relative to the canvas (e.g. a touch) to a world position
+   */
+  screenToWorld(x, y) {
+    const view = this.getView();
+    return { x: view.x + x / this.zoom, y: view.y + y / this.zoom };
+  }
+
+  isVisible(rect) {
+    const view = this.getView();
+    return rect.x + (rect.width || 0) >= view.x && rect.x <= view.x + view.width &&
+      rect.y + (rect.height || 0) >= view.y && rect.y <= view.y + view.height;
+  }
+}
+
+// ============================================================================
+// SPRITES AND ANIMATION
+// ============================================================================
+
+/**
+ * Named frames on one texture. Frames come from a texture-atlas JSON
+ * (TexturePacker hash/array or Aseprite export) or a uniform grid.
+ * Animations are defined as:
+ * {
+ *   frames: ['walk_0', 'walk_1', { frame: 'walk_2', duration: 0.2, event: 'step' }],
+ *   frameDuration: 0.1,     // seconds per frame unless the frame says otherwise
+ *   mode: 'loop',           // or 'once' (holds the last frame)
+ *   events: { 1: 'hit' }    // frame index -> event name(s)
+ * }
+ */
+class SpriteAtlas {
+  constructor(image = null, frames = {}, animations = {}) {
+    this.image = image;
+    this.frames = new Map();
+    this.frameOrder = [];
+    this.animations = new Map();
+    
+    Object.keys(frames).forEach(name => this.addFrame(name, frames[name]));
+    Object.keys(animations).forEach(name => this.addAnimation(name, animations[name]));
+  }
+
+  /**
+   * Build an atlas from exported JSON. Aseprite frame tags become animations.
+   */
+  static fromJSON(data, image = null) {
+    const atlas = new SpriteAtlas(image);
+    const entries = Array.isArray(data.frames) ? 
+      data.frames.map(frame => [frame.filename, frame]) : 
+      Object.entries(data.frames || {});
+    
+    entries.forEach(([name, entry]) => {
+      if (entry.rotated) {
+        console.warn(`Rotated atlas frame '${name}' is not supported; export without rotation`);
+      }
+      
+      const trim = entry.spriteSourceSize || { x: 0, y: 0 };
+      const source = entry.sourceSize || { w: entry.frame.w, h: entry.frame.h };
+      
+      atlas.addFrame(name, {
+        x: entry.frame.x,
+        y: entry.frame.y,
+        width: entry.frame.w,
+        height: entry.frame.h,
+        offsetX: trim.x,
+        offsetY: trim.y,
+        sourceWidth: source.w,
+        sourceHeight: source.h,
+        // Aseprite stores durations in milliseconds
+        duration: entry.duration ? entry.duration / 1000 : null
+      });
+    });
+    
+    const meta = data.meta || {};
+    (meta.frameTags || []).forEach(tag => {
+      let frames = atlas.frameOrder.slice(tag.from, tag.to + 1);
+      
+      if (tag.direction === 'reverse') {
+        frames = frames.reverse();
+      } else if (tag.direction === 'pingpong') {
+        frames = frames.concat(frames.slice(1, -1).reverse());
+      }
+      
+      atlas.addAnimation(tag.name, { frames });
+    });
+    
+    Object.keys(data.animations || {}).forEach(name => {
+      atlas.addAnimation(name, data.animations[name]);
+    });
+    
+    return atlas;
+  }
+
+  /**
+   * Slice a sheet of equally sized frames, named by `names` or by index
+   */
+  static fromGrid(image, frameWidth, frameHeight, options = {}) {
+    const atlas = new SpriteAtlas(image);
+    const margin = options.margin || 0;
+    const spacing = options.spacing || 0;
+    const columns = options.columns || 
+      Math.floor((image.width - margin * 2 + spacing) / (frameWidth + spacing));
+    const rows = options.rows || 
+      Math.floor((image.height - margin * 2 + spacing) / (frameHeight + spacing));
+    const count = options.count || columns * rows;
+    const names = options.names || [];
+    
+    for (let i = 0; i < count; i++) {
+      atlas.addFrame(names[i] || String(i), {
+        x: margin + (i % columns) * (frameWidth + spacing),
+        y: margin + Math.floor(i / columns) * (frameHeight + spacing),
+        width: frameWidth,
+        height: frameHeight
+      });
+    }
+    
+    Object.keys(options.animations || {}).forEach(name => {
+      atlas.addAnimation(name, options.animations[name]);
+    });
+    
+    return atlas;
+  }
+
+  addFrame(name, frame) {
+    if (!this.frames.has(name)) {
+      this.frameOrder.push(name);
+    }
+    
+    this.frames.set(name, {
+      name,
+      x: frame.x,
+      y: frame.y,
+      width: frame.width,
+      height: frame.height,
+      offsetX: frame.offsetX || 0,
+      offsetY: frame.offsetY || 0,
+      sourceWidth: frame.sourceWidth || frame.width,
+      sourceHeight: frame.sourceHeight || frame.height,
+      duration: frame.duration || null
+    });
+  }
+
+  getFrame(name) {
+    return this.frames.get(name) || null;
+  }
+
+  addAnimation(name, definition) {
+    const frameDuration = definition.frameDuration || (definition.fps ? 1 / definition.fps : 0.1);
+    const events = definition.events || {};
+    const frames = (definition.frames || []).map((entry, index) => {
+      const frame = typeof entry === 'object' ? entry : { frame: entry };
+      const atlasFrame = this.getFrame(frame.frame);
+      const frameEvents = [].concat(events[index] || [], frame.event || []);
+      
+      if (!atlasFrame) {
+        console.warn(`Animation '${name}' references unknown frame '${frame.frame}'`);
+      }
+      
+      return {
+        frame: frame.frame,
+        duration: frame.duration || (atlasFrame && atlasFrame.duration) || frameDuration,
+        events: frameEvents
+      };
+    });
+    
+    const animation = {
+      name,
+      frames,
+      loop: definition.mode ? definition.mode === 'loop' : definition.loop !== false
+    };
+    
+    this.animations.set(name, animation);
+    return animation;
+  }
+
+  getAnimation(name) {
+    return this.animations.get(name) || null;
+  }
+
+  hasAnimation(name) {
+    return this.animations.has(name);
+  }
+}
+
+/**
+ * Sprite component - draws an atlas frame at its entity and plays animations.
+ * Frame events are emitted as 'animation:event' and a finished 'once'
+ * animation as 'animation:ended'.
+ */
+class Sprite {
+  constructor(config = {}) {
+    this.entity = null;
+    this.enabled = true;
+    this.atlas = config.atlas || null;
+    this.frameName = config.frame || null;
+    this.visible = config.visible !== undefined ? config.visible : true;
+    this.flipX = config.flipX || false;
+    this.flipY = config.flipY || false;
+    this.scale = config.scale || 1;
+    this.alpha = config.alpha !== undefined ? config.alpha : 1;
+    this.offsetX = config.offsetX || 0;
+    this.offsetY = config.offsetY || 0;
+    this.speed = config.speed !== undefined ? config.speed : 1;
+    
+    // Playback state
+    this.animation = null;
+    this.frameIndex = 0;
+    this.frameTime = 0;
+    this.playing = false;
+    this.finished = false;
+    
+    if (config.animation) {
+      this.play(config.animation);
+    }
+  }
+
+  /**
+   * Play an animation; replaying the current one does nothing unless restart is set
+   */
+  play(name, options = {}) {
+    if (options.flipX !== undefined) {
+      this.flipX = options.flipX;
+    }
+    
+    if (this.animation && this.animation.name === name && !options.restart && !this.finished) {
+      return true;
+    }
+    
+    const animation = this.atlas ? this.atlas.getAnimation(name) : null;
+    if (!animation || animation.frames.length === 0) {
+      console.warn(`Animation not found: ${name}`);
+      return false;
+    }
+    
+    this.animation = animation;
+    this.frameIndex = 0;
+    this.frameTime = 0;
+    this.playing = true;
+    this.finished = false;
+    this.enterFrame();
+    
+    return true;
+  }
+
+  stop() {
+    this.playing = false;
+  }
+
+  resume() {
+    if (this.animation && !this.finished) {
+      this.playing = true;
+    }
+  }
+
+  update(delta) {
+    if (!this.playing || !this.animation) return;
+    
+    this.frameTime += delta * this.speed;
+    
+    // A long frame delta may skip several frames; each still fires its events
+    while (this.playing && this.frameTime >= this.animation.frames[this.frameIndex].duration) {
+      this.frameTime -= this.animation.frames[this.frameIndex].duration;
+      
+      if (this.frameIndex < this.animation.frames.length - 1) {
+        this.frameIndex++;
+      } else if (this.animation.loop) {
+        this.frameIndex = 0;
+      } else {
+        this.playing = false;
+        this.finished = true;
+        this.frameTime = 0;
+        this.emit('animation:ended', {});
+        return;
+      }
+      
+      this.enterFrame();
+    }
+  }
+
+  enterFrame() {
+    const frame = this.animation.frames[this.frameIndex];
+    this.frameName = frame.frame;
+    
+    frame.events.forEach(event => {
+      this.emit('animation:event', { event, frame: this.frameIndex });
+    });
+  }
+
+  emit(eventName, data) {
+    if (this.entity && this.entity.engine) {
+      this.entity.engine.eventBus.emit(eventName, {
+        entity: this.entity,
+        sprite: this,
+        animation: this.animation.name,
+        ...data
+      });
+    }
+  }
+
+  getFrame() {
+    return this.atlas && this.frameName ? this.atlas.getFrame(this.frameName) : null;
+  }
+
+  /**
+   * Draw the current frame with its untrimmed box at the entity position
+   */
+  render(ctx) {
+    const frame = this.getFrame();
+    if (!this.visible || !frame || !this.atlas.image) return;
+    
+    const x = this.entity.x + this.offsetX;
+    const y = this.entity.y + this.offsetY;
+    const width = frame.sourceWidth * this.scale;
+    const height = frame.sourceHeight * this.scale;
+    
+    ctx.save();
+    ctx.globalAlpha *= this.alpha;
+    ctx.translate(x + (this.flipX ? width : 0), y + (this.flipY ? height : 0));
+    ctx.scale((this.flipX ? -1 : 1) * this.scale, (this.flipY ? -1 : 1) * this.scale);
+    ctx.drawImage(this.atlas.image, frame.x, frame.y, frame.width, frame.height,
+      frame.offsetX, frame.offsetY, frame.width, frame.height);
+    ctx.restore();
+  }
+}
+
+/**
+ * Animation state machine component. Picks the entity's state each update -
+ * die when it is dead, hurt when its health drops, walk while it moves and
+ * idle otherwise - and plays that state's animation on the entity's
+ * 'sprite'. One-shot states (attack, hurt) started with trigger() play to
+ * the end before the machine goes back to the driven state. `{direction}` in
+ * an animation name becomes up/down/left/right from the movement; a missing
+ * left animation mirrors the right one. The sprite defaults to the entity's
+ * 'sprite' component; pass `sprite` to drive another.
+ */
+class AnimationStateMachine {
+  constructor(config = {}) {
+    this.entity = null;
+    this.enabled = true;
+    this.sprite = config.sprite || null;
+    this.states = { ...AnimationStateMachine.defaultStates, ...config.states };
+    this.resolveState = config.resolveState || null;
+    this.state = null;
+    this.oneShot = null;
+    this.direction = config.direction || 'down';
+    this.lastPosition = null;
+    this.lastHealth = null;
+    this.moveThreshold = config.moveThreshold || 0.01;
+  }
+
+  getSprite() {
+    return this.sprite || this.entity.getComponent('sprite');
+  }
+
+  /**
+   * Start a one-shot state such as 'attack'. A running one-shot with a higher
+   * priority is not interrupted.
+   */
+  trigger(stateName) {
+    const state = this.states[stateName];
+    if (!state) {
+      console.warn(`Unknown animation state: ${stateName}`);
+      return false;
+    }
+    
+    if (this.state === 'die') return false;
+    
+    if (this.oneShot && (this.states[this.oneShot].priority || 0) > (state.priority || 0)) {
+      return false;
+    }
+    
+    if (!this.enterState(stateName, true)) {
+      return false;
+    }
+    
+    this.oneShot = stateName;
+    return true;
+  }
+
+  update(delta) {
+    const sprite = this.getSprite();
+    if (!sprite) return;
+    
+    const moving = this.trackMovement();
+    const damaged = this.lastHealth !== null && this.entity.health < this.lastHealth;
+    this.lastHealth = this.entity.health !== undefined ? this.entity.health : null;
+    
+    if (this.oneShot && sprite.finished) {
+      this.oneShot = null;
+    }
+    
+    const driven = this.resolveState ? 
+      this.resolveState(this.entity, this) : 
+      this.getDrivenState(moving);
+    
+    if (driven === 'die') {
+      this.oneShot = null;
+      this.enterState('die');
+    } else if (!(damaged && this.states.hurt && this.trigger('hurt')) && !this.oneShot) {
+      // trigger() refuses a hurt state the atlas has no animation for, so the
+      // driven state still plays that frame
+      this.enterState(driven);
+    }
+  }
+
+  getDrivenState(moving) {
+    if (this.entity.isAlive === false) return 'die';
+    return moving ? 'walk' : 'idle';
+  }
+
+  /**
+   * Update facing from the position change since the last update
+   */
+  trackMovement() {
+    const previous = this.lastPosition;
+    this.lastPosition = { x: this.entity.x, y: this.entity.y };
+    if (!previous) return false;
+    
+    const dx = this.entity.x - previous.x;
+    const dy = this.entity.y - previous.y;
+    
+    if (Math.abs(dx) < this.moveThreshold && Math.abs(dy) < this.moveThreshold) {
+      return false;
+    }
+    
+    if (Math.abs(dx) > Math.abs(dy)) {
+      this.direction = dx > 0 ? 'right' : 'left';
+    } else {
+      this.direction = dy > 0 ? 'down' : 'up';
+    }
+    
+    return true;
+  }
+
+  enterState(stateName, restart = false) {
+    const state = this.states[stateName];
+    const sprite = this.getSprite();
+    if (!state || !sprite) return false;
+    
+    const animation = this.resolveAnimation(state.animation, sprite);
+    if (!animation) return false;
+    
+    const changed = this.state !== stateName;
+    this.state = stateName;
+    
+    // Same state and facing - let the current animation keep playing
+    if (!changed && !restart && sprite.animation && sprite.animation.name === animation.name) {
+      sprite.flipX = animation.flipX;
+      return true;
+    }
+    
+    sprite.play(animation.name, { restart: true, flipX: animation.flipX });
+    
+    if (changed && this.entity.engine) {
+      this.entity.engine.eventBus.emit('animation:stateChanged', { entity: this.entity, state: stateName });
+    }
+    
+    return true;
+  }
+
+  /**
+   * Find the animation for a state and facing, mirroring left/right when needed
+   */
+  resolveAnimation(template, sprite) {
+    const atlas = sprite.atlas;
+    if (!atlas) return null;
+    
+    const mirrored = { left: 'right', right: 'left' }[this.direction];
+    const candidates = [
+      { name: template.replace('{direction}', this.direction), flipX: false },
+      mirrored ? { name: template.replace('{direction}', mirrored), flipX: true } : null,
+      { name: template.replace(/[_-]?\{direction\}/, ''), flipX: this.direction === 'left' }
+    ];
+    
+    return candidates.find(candidate => candidate && atlas.hasAnimation(candidate.name)) || null;
+  }
+}
+
+// Priorities decide which one-shot state may interrupt another
+AnimationStateMachine.defaultStates = {
+  idle: { animation: 'idle_{direction}' },
+  walk: { animation: 'walk_{direction}' },
+  attack: { animation: 'attack_{direction}', priority: 1 },
+  hurt: { animation: 'hurt_{direction}', priority: 2 },
+  die: { animation: 'die' }
+};
+
+// ============================================================================
+// AI / BEHAVIOR TREES
+// ============================================================================
+
+const BT_SUCCESS = 'success';
+const BT_FAILURE = 'failure';
+const BT_RUNNING = 'running';
+
+/**
+ * Key/value memory shared by the nodes of one AI. A parent blackboard (e.g.
+ * one per squad) is read through for keys this one doesn't have.
+ */
+class Blackboard {
+  constructor(values = {}, parent = null) {
+    this.values = new Map(Object.entries(values));
+    this.parent = parent;
+  }
+
+  get(key, defaultValue = undefined) {
+    if (this.values.has(key)) return this.values.get(key);
+    if (this.parent) return this.parent.get(key, defaultValue);
+    return defaultValue;
+  }
+
+  set(key, value) {
+    this.values.set(key, value);
+  }
+
+  has(key) {
+    return this.values.has(key) || (this.parent ? this.parent.has(key) : false);
+  }
+
+  delete(key) {
+    return this.values.delete(key);
+  }
+}
+
+/**
+ * Base node. Subclasses implement tick(ai) returning BT_SUCCESS, BT_FAILURE
+ * or BT_RUNNING, and abort() to drop whatever they were in the middle of.
+ */
+class BehaviorNode {
+  constructor(config = {}) {
+    this.config = config;
+    this.name = config.name || config.type || 'node';
+  }
+
+  /**
+   * Tick through here rather than tick() directly, so the AI can trace which
+   * nodes are running
+   */
+  execute(ai) {
+    ai.path.push(this);
+    const status = this.tick(ai);
+    if (status !== BT_RUNNING) {
+      ai.path.pop();
+    }
+    return status;
+  }
+
+  tick(ai) {
+    return BT_SUCCESS;
+  }
+
+  abort(ai) {}
+}
+
+/**
+ * Shared logic for sequence and selector: run children in order until one
+ * returns `stopOn`. A non-reactive composite resumes at its running child;
+ * a reactive one starts over every tick so earlier conditions can interrupt.
+ */
+class CompositeNode extends BehaviorNode {
+  constructor(config, children = []) {
+    super(config);
+    this.children = children;
+    this.reactive = config.reactive || false;
+    this.runningIndex = -1;
+  }
+
+  runChildren(ai, stopOn, otherwise) {
+    const start = this.reactive || this.runningIndex === -1 ? 0 : this.runningIndex;
+    
+    for (let i = start; i < this.children.length; i++) {
+      const status = this.children[i].execute(ai);
+      
+      if (status === BT_RUNNING) {
+        this.switchRunning(ai, i);
+        return BT_RUNNING;
+      }
+      if (status === stopOn) {
+        this.switchRunning(ai, -1);
+        return stopOn;
+      }
+    }
+    
+    this.switchRunning(ai, -1);
+    return otherwise;
+  }
+
+  /**
+   * Abort the child that was running when another one takes over
+   */
+  switchRunning(ai, index) {
+    if (this.runningIndex !== -1 && this.runningIndex !== index) {
+      this.children[this.runningIndex].abort(ai);
+    }
+    this.runningIndex = index;
+  }
+
+  abort(ai) {
+    this.switchRunning(ai, -1);
+  }
+}
+
+/**
+ * Succeeds when every child succeeds; stops at the first failure
+ */
+class SequenceNode extends CompositeNode {
+  tick(ai) {
+    return this.runChildren(ai, BT_FAILURE, BT_SUCCESS);
+  }
+}
+
+/**
+ * Succeeds at the first child that succeeds; fails when all of them fail
+ */
+class SelectorNode extends CompositeNode {
+  tick(ai) {
+    return this.runChildren(ai, BT_SUCCESS, BT_FAILURE);
+  }
+}
+
+/**
+ * Wraps one child and rewrites its result. Kinds (config.type):
+ *   invert   - swaps success and failure
+ *   succeed  - turns failure into success
+ *   repeat   - reruns the child `count` times (forever without a count) while it succeeds
+ *   cooldown - fails for `duration` seconds after the child finishes
+ */
+class DecoratorNode extends BehaviorNode {
+  constructor(config, children = []) {
+    super(config);
+    this.child = children[0];
+    this.count = 0;
+    this.readyAt = 0;
+  }
+
+  tick(ai) {
+    const type = this.config.type;
+    
+    if (type === 'cooldown' && ai.time < this.readyAt) {
+      return BT_FAILURE;
+    }
+    
+    const status = this.child.execute(ai);
+    if (status === BT_RUNNING) return BT_RUNNING;
+    
+    switch (type) {
+      case 'invert':
+        return status === BT_SUCCESS ? BT_FAILURE : BT_SUCCESS;
+      case 'succeed':
+        return BT_SUCCESS;
+      case 'repeat':
+        if (status === BT_FAILURE) {
+          this.count = 0;
+          return BT_FAILURE;
+        }
+        this.count++;
+        if (this.config.count && this.count >= this.config.count) {
+          this.count = 0;
+          return BT_SUCCESS;
+        }
+        return BT_RUNNING;
+      case 'cooldown':
+        this.readyAt = ai.time + (this.config.duration || 1);
+        return status;
+      default:
+        return status;
+    }
+  }
+
+  abort(ai) {
+    this.count = 0;
+    this.child.abort(ai);
+  }
+}
+
+/**
+ * Leaf that runs a registered task. The task gets (ai, node) and keeps
+ * per-run scratch data in node.state, which is cleared whenever the task
+ * finishes or is aborted.
+ */
+class TaskNode extends BehaviorNode {
+  constructor(config, task) {
+    super(config);
+    this.task = task;
+    this.state = {};
+  }
+
+  tick(ai) {
+    const status = this.task(ai, this);
+    if (status !== BT_RUNNING) {
+      this.state = {};
+    }
+    return status;
+  }
+
+  abort(ai) {
+    this.state = {};
+  }
+}
+
+/**
+ * Builds node trees from data. A node is { type, ...options } with `children`
+ * for composites and `child` for decorators; any other type names a task:
+ *   {
+ *     type: 'selector', children: [
+ *       { type: 'sequence', children: [{ type: 'isHealthLow', fleeThreshold: 0.25 }, { type: 'flee' }] },
+ *       { type: 'sequence', children: [{ type: 'detectTarget', lineOfSight: true }, { type: 'chase' }, { type: 'attack' }] },
+ *       { type: 'wander' }
+ *     ]
+ *   }
+ * Whole AIs ({ tree, blackboard }) are registered by name with define().
+ */
+class BehaviorTree {
+  static registerNode(type, NodeClass) {
+    BehaviorTree.nodeTypes.set(type, NodeClass);
+  }
+
+  static registerTask(type, task) {
+    BehaviorTree.tasks.set(type, task);
+  }
+
+  static define(id, definition) {
+    BehaviorTree.registry.set(id, { id, ...definition });
+    return definition;
+  }
+
+  static getDefinition(id) {
+    return BehaviorTree.registry.get(id) || null;
+  }
+
+  /**
+   * @returns {BehaviorNode|null} null (with a warning) for an unknown type
+   */
+  static build(definition) {
+    const NodeClass = BehaviorTree.nodeTypes.get(definition.type);
+    
+    if (NodeClass) {
+      const childDefinitions = definition.children || (definition.child ? [definition.child] : []);
+      const children = childDefinitions.map(child => BehaviorTree.build(child));
+      if (children.includes(null)) return null;
+      
+      return new NodeClass(definition, children);
+    }
+    
+    const task = BehaviorTree.tasks.get(definition.type);
+    if (!task) {
+      console.warn(`Unknown behavior tree node: ${definition.type}`);
+      return null;
+    }
+    
+    return new TaskNode(definition, task);
+  }
+}
+
+BehaviorTree.nodeTypes = new Map();
+BehaviorTree.tasks = new Map();
+BehaviorTree.registry = new Map();
+
+BehaviorTree.registerNode('sequence', SequenceNode);
+BehaviorTree.registerNode('selector', SelectorNode);
+['invert', 'succeed', 'repeat', 'cooldown'].forEach(type => BehaviorTree.registerNode(type, DecoratorNode));
+
+// ----- Built-in tasks -----
+// Distances and speeds fall back to blackboard keys of the same name, so one
+// tree can serve several enemies tuned through their blackboards.
+
+BehaviorTree.registerTask('wait', (ai, node) => {
+  node.state.elapsed = (node.state.elapsed || 0) + ai.delta;
+  return node.state.elapsed >= ai.option(node, 'duration', 1) ? BT_SUCCESS : BT_RUNNING;
+});
+
+// Walk to the next of the 'patrolPoints' ([{x, y}]), succeeding at each one
+// and failing on one it has no route to
+BehaviorTree.registerTask('patrol', (ai, node) => {
+  const points = ai.option(node, 'patrolPoints', []);
+  if (points.length === 0) return BT_FAILURE;
+  
+  const index = ai.blackboard.get('patrolIndex', 0) % points.length;
+  const arrived = ai.moveTo(points[index].x, points[index].y, ai.option(node, 'speedScale', 1));
+  if (!arrived && !ai.isMoveBlocked()) {
+    return BT_RUNNING;
+  }
+  
+  // Unreachable points are skipped
+  ai.blackboard.set('patrolIndex', (index + 1) % points.length);
+  return arrived ? BT_SUCCESS : BT_FAILURE;
+});
+
+// Walk to a random point in 'wanderRegion' ({x, y, width, height}) or within
+// 'wanderRadius' of home; gives up on a point it can't reach in time
+BehaviorTree.registerTask('wander', (ai, node) => {
+  if (!node.state.point) {
+    const region = ai.option(node, 'wanderRegion', null);
+    const home = ai.blackboard.get('home');
+    const radius = ai.option(node, 'wanderRadius', 96);
+    
+    node.state.point = region ? 
+      { x: ai.rng.range(region.x, region.x + region.width), y: ai.rng.range(region.y, region.y + region.height) } : 
+      { x: home.x + ai.rng.range(-radius, radius), y: home.y + ai.rng.range(-radius, radius) };
+    node.state.elapsed = 0;
+  }
+  
+  node.state.elapsed += ai.delta;
+  const arrived = ai.moveTo(node.state.point.x, node.state.point.y, ai.option(node, 'speedScale', 0.5));
+  return arrived || node.state.elapsed >= ai.option(node, 'timeout', 4) ? BT_SUCCESS : BT_RUNNING;
+});
+
+// Condition: the target is alive and within 'detectRadius' (and in line of
+// sight when lineOfSight is set). Remembers it as 'target'.
+BehaviorTree.registerTask('detectTarget', (ai, node) => {
+  const target = ai.findTarget();
+  const detected = target && target.isAlive !== false && 
+    ai.distanceTo(target) <= ai.option(node, 'detectRadius', 160) && 
+    (!ai.option(node, 'lineOfSight', false) || ai.hasLineOfSight(target));
+  
+  if (!detected) {
+    ai.blackboard.delete('target');
+    return BT_FAILURE;
+  }
+  
+  ai.blackboard.set('target', target);
+  ai.blackboard.set('lastSeen', ai.getCenter(target));
+  return BT_SUCCESS;
+});
+
+// Close in on 'target' until within 'attackRange'; fails once it gets
+// further than 'giveUpRadius', dies or can't be reached
+BehaviorTree.registerTask('chase', (ai, node) => {
+  const target = ai.blackboard.get('target');
+  if (!target || target.isAlive === false) return BT_FAILURE;
+  
+  const distance = ai.distanceTo(target);
+  if (distance > ai.option(node, 'giveUpRadius', 320)) {
+    ai.blackboard.delete('target');
+    return BT_FAILURE;
+  }
+  if (distance <= ai.option(node, 'attackRange', 32)) {
+    return BT_SUCCESS;
+  }
+  
+  const center = ai.getCenter(target);
+  ai.moveTo(center.x, center.y, ai.option(node, 'speedScale', 1));
+  return ai.isMoveBlocked() ? BT_FAILURE : BT_RUNNING;
+});
+
+// Hit 'target' through CombatSystem when both are Characters, at most once
+// per 'attackCooldown' seconds. Reports 'ai:attacked'.
+BehaviorTree.registerTask('attack', (ai, node) => {
+  const target = ai.blackboard.get('target');
+  if (!target || target.isAlive === false) return BT_FAILURE;
+  if (ai.distanceTo(target) > ai.option(node, 'attackRange', 32)) return BT_FAILURE;
+  
+  if (ai.time < ai.blackboard.get('nextAttackTime', 0)) {
+    return BT_RUNNING;
+  }
+  ai.blackboard.set('nextAttackTime', ai.time + ai.option(node, 'attackCooldown', 1));
+  
+  const entity = ai.entity;
+  const result = entity instanceof Character && target instanceof Character ? 
+    CombatSystem.performAttack(entity, target) : 
+    null;
+  
+  const animator = entity.getComponent ? entity.getComponent('animator') : entity.animator;
+  if (animator) {
+    animator.trigger('attack');
+  }
+  if (entity.engine) {
+    entity.engine.eventBus.emit('ai:attacked', { entity, target, result });
+  }
+  
+  return BT_SUCCESS;
+});
+
+// Condition: health at or below 'fleeThreshold' of max health
+BehaviorTree.registerTask('isHealthLow', (ai, node) => {
+  const entity = ai.entity;
+  if (entity.health === undefined || !entity.maxHealth) return BT_FAILURE;
+  return entity.health / entity.maxHealth <= ai.option(node, 'fleeThreshold', 0.25) ? BT_SUCCESS : BT_FAILURE;
+});
+
+// Run directly away from 'target' until 'safeDistance' away
+BehaviorTree.registerTask('flee', (ai, node) => {
+  const target = ai.blackboard.get('target') || ai.findTarget();
+  if (!target) return BT_FAILURE;
+  
+  const distance = ai.distanceTo(target);
+  if (distance >= ai.option(node, 'safeDistance', 300)) return BT_SUCCESS;
+  
+  const from = ai.getCenter(target);
+  const self = ai.getCenter(ai.entity);
+  const length = distance || 1;
+  ai.moveTo(self.x + (self.x - from.x) / length * 64, self.y + (self.y - from.y) / length * 64, 
+    ai.option(node, 'speedScale', 1.2));
+  return BT_RUNNING;
+});
+
+// Walk back to 'home' (the spawn point unless set); fails when there's no route
+BehaviorTree.registerTask('returnHome', (ai, node) => {
+  const home = ai.blackboard.get('home');
+  if (ai.moveTo(home.x, home.y, ai.option(node, 'speedScale', 0.75))) return BT_SUCCESS;
+  return ai.isMoveBlocked() ? BT_FAILURE : BT_RUNNING;
+});
+
+// Flee when hurt, fight whatever comes close, otherwise drift back home and wander
+BehaviorTree.define('melee', {
+  blackboard: { detectRadius: 160, giveUpRadius: 320, attackRange: 32, wanderRadius: 96 },
+  tree: {
+    type: 'selector', name: 'root', reactive: true, children: [
+      { type: 'sequence', name: 'fleeWhenHurt', children: [{ type: 'isHealthLow' }, { type: 'flee' }] },
+      { type: 'sequence', name: 'fight', children: [
+        { type: 'detectTarget', lineOfSight: true },
+        { type: 'chase' },
+        { type: 'attack' }
+      ] },
+      { type: 'sequence', name: 'idle', children: [
+        { type: 'wander' },
+        { type: 'wait', duration: 1 }
+      ] }
+    ]
+  }
+});
+
+/**
+ * AI component. Add it as 'ai' with a registered definition or a tree:
+ *   entity.addComponent('ai', new AIController({ definition: 'slime', blackboard: { detectRadius: 200 } }))
+ * Each update ticks the tree once. Movement goes through the entity's
+ * 'pathFollower' when it has one, so it routes around walls; otherwise it
+ * heads straight for the point (see steerToward). The target
+ * defaults to the player; pass `target` (an entity or a function) to change
+ * it. For debugging, getRunningNode()/getRunningPath() report what the tree
+ * is doing, and `debug: true` emits 'ai:nodeChanged' whenever that changes.
+ */
+class AIController {
+  constructor(config = {}) {
+    this.entity = null;
+    this.enabled = true;
+    this.config = config;
+    
+    const definition = config.definition ? BehaviorTree.getDefinition(config.definition) : null;
+    if (config.definition && !definition) {
+      console.warn(`Unknown AI definition: ${config.definition}`);
+    }
+    
+    const treeDefinition = config.tree || (definition ? definition.tree : null);
+    this.root = treeDefinition ? BehaviorTree.build(treeDefinition) : null;
+    this.blackboard = new Blackboard(
+      { ...(definition ? definition.blackboard : {}), ...config.blackboard },
+      config.sharedBlackboard || null
+    );
+    
+    this.speed = config.speed || (definition && definition.speed) || null;
+    this.arriveDistance = config.arriveDistance || 4;
+    this.target = config.target || null;
+    this.map = config.map || null;
+    this.rng = config.rng || null;
+    this.debug = config.debug || false;
+    
+    this.time = 0;
+    this.delta = 0;
+    this.path = [];
+    this.runningPath = [];
+    this.moved = false;
+  }
+
+  update(delta) {
+    if (!this.root || this.entity.isAlive === false) return;
+    
+    // Resolved on first update - the entity may join the engine, and be
+    // placed at its spawn point, after the component is added
+    if (!this.rng) {
+      this.rng = this.entity.engine ? this.entity.engine.rng.stream('ai') : fallbackRNG;
+    }
+    if (!this.blackboard.has('home')) {
+      this.blackboard.set('home', this.getCenter(this.entity));
+    }
+    
+    this.delta = delta;
+    this.time += delta;
+    this.moved = false;
+    this.path = [];
+    
+    this.root.execute(this);
+    
+    if (!this.moved) {
+      this.stop();
+    }
+    this.tracePath();
+  }
+
+  /**
+   * Reset the tree, aborting whatever was running
+   */
+  reset() {
+    if (this.root) {
+      this.root.abort(this);
+    }
+    this.path = [];
+    this.tracePath();
+    this.stop();
+  }
+
+  getRunningNode() {
+    return this.runningPath.length > 0 ? this.runningPath[this.runningPath.length - 1] : null;
+  }
+
+  /**
+   * Names of the running nodes, root first
+   */
+  getRunningPath() {
+    return this.runningPath.map(node => node.name);
+  }
+
+  tracePath() {
+    const previous = this.getRunningNode();
+    this.runningPath = this.path;
+    
+    const node = this.getRunningNode();
+    if (this.debug && node !== previous && this.entity.engine) {
+      this.entity.engine.eventBus.emit('ai:nodeChanged', {
+        entity: this.entity,
+        node,
+        path: this.getRunningPath()
+      });
+    }
+  }
+
+  /**
+   * A task option from the node config, then the blackboard, then the default
+   */
+  option(node, key, defaultValue) {
+    if (node.config[key] !== undefined) return node.config[key];
+    return this.blackboard.get(key, defaultValue);
+  }
+
+  findTarget() {
+    if (typeof this.target === 'function') return this.target(this.entity);
+    if (this.target) return this.target;
+    return this.entity.engine ? this.entity.engine.gameState.player : null;
+  }
+
+  getMap() {
+    if (typeof this.map === 'function') return this.map();
+    if (this.map) return this.map;
+    
+    const scene = this.entity.scene || (this.entity.engine ? this.entity.engine.currentScene : null);
+    return scene ? scene.map : null;
+  }
+
+  getCenter(entity) {
+    return { x: entity.x + (entity.width || 0) / 2, y: entity.y + (entity.height || 0) / 2 };
+  }
+
+  distanceTo(target) {
+    const a = this.getCenter(this.entity);
+    const b = this.getCenter(target);
+    return Math.hypot(b.x - a.x, b.y - a.y);
   }
 
-  equipItem(item, slot) {
-    if (this.equipment.hasOwnProperty(slot)) {
-      const previousItem = this.equipment[slot];
-      this.equipment[slot] = item;
-      return previousItem;
+  /**
+   * Whether no solid map tile lies between this entity and the target
+   */
+  hasLineOfSight(target) {
+    const map = this.getMap();
+    if (!map) return true;
+    
+    const from = this.getCenter(this.entity);
+    const to = this.getCenter(target);
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    const steps = Math.ceil(distance / (Math.min(map.tileWidth, map.tileHeight) / 2));
+    
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      if (map.isSolidAt(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t)) {
+        return false;
+      }
     }
     
-    return null;
+    return true;
   }
 
-  unequipItem(slot) {
-    const item = this.equipment[slot];
-    this.equipment[slot] = null;
-    return item;
+  getSpeed() {
+    if (this.speed) return this.speed;
+    if (typeof this.entity.getMovementSpeed === 'function') return this.entity.getMovementSpeed();
+    return this.entity.speed || 60;
   }
 
-  addStatusEffect(effect) {
-    this.statusEffects.push(effect);
-    if (this.engine) {
-      this.engine.eventBus.emit('character:statusEffectApplied', { 
-        character: this, 
-        effect: effect 
-      });
-    }
+  /**
+   * Step this entity's centre toward a point, along a path when it has a
+   * path follower
+   * @returns {boolean} Whether it has arrived
+   */
+  moveTo(x, y, speedScale = 1) {
+    const speed = this.getSpeed() * speedScale;
+    const follower = this.getFollower();
+    
+    const arrived = follower ? 
+      follower.follow(x, y, speed) : 
+      steerToward(this.entity, x, y, speed, this.delta, this.arriveDistance);
+    
+    this.moved = this.moved || !arrived;
+    return arrived;
   }
 
-  removeStatusEffect(effectName) {
-    this.statusEffects = this.statusEffects.filter(e => e.name !== effectName);
+  getFollower() {
+    return this.entity.getComponent ? this.entity.getComponent('pathFollower') : this.entity.pathFollower;
   }
 
-  calculateTotalAttack() {
-    let total = this.attack;
+  /**
+   * Whether the last moveTo() found no route, so tasks can fail instead of
+   * waiting on a point they can't reach
+   */
+  isMoveBlocked() {
+    const follower = this.getFollower();
+    return !!follower && follower.status === 'failed';
+  }
+
+  stop() {
+    if (!this.entity) return;
     
-    if (this.equipment.mainHand) {
-      total += this.equipment.mainHand.attack || 0;
+    const follower = this.getFollower();
+    if (follower) {
+      follower.stop();
     }
     
-    return total;
+    if (!(this.entity instanceof Entity) && 'vx' in this.entity) {
+      this.entity.vx = 0;
+      this.entity.vy = 0;
+    }
   }
+}
 
-  calculateTotalDefense() {
-    let total = this.defense;
+// ============================================================================
+// NAVIGATION
+// ============================================================================
+
+/**
+ * Walkability grid for pathfinding. Static cells come from a Tilemap's
+ * collision; dynamic obstacles (doors, boulders, parked carts) are added and
+ * removed by id on top. Every change tells the onChange() listeners which
+ * cells changed so paths through them can be recomputed.
+ */
+class NavGrid {
+  constructor(width, height, cellSize = 32) {
+    this.width = width;
+    this.height = height;
+    this.cellSize = cellSize;
+    this.solid = new Uint8Array(width * height);
+    
+    // How many obstacles cover each cell
+    this.blockers = new Uint16Array(width * height);
+    this.obstacles = new Map();
+    this.listeners = [];
+    this.version = 0;
+  }
+
+  static fromTilemap(map) {
+    const grid = new NavGrid(map.width, map.height, map.tileWidth);
     
-    Object.keys(this.equipment).forEach(slot => {
-      const item = this.equipment[slot];
-      if (item && item.defense) {
-        total += item.defense;
+    for (let y = 0; y < map.height; y++) {
+      for (let x = 0; x < map.width; x++) {
+        grid.solid[y * map.width + x] = map.isSolid(x, y) ? 1 : 0;
       }
-    });
+    }
     
-    return total;
+    return grid;
   }
 
-  move(dx, dy, delta) {
-    this.x += dx * this.movementSpeed * delta;
-    this.y += dy * this.movementSpeed * delta;
+  inBounds(x, y) {
+    return x >= 0 && y >= 0 && x < this.width && y < this.height;
   }
 
-  update(delta) {
-    super.update(delta);
+  isWalkable(x, y) {
+    if (!this.inBounds(x, y)) return false;
+    const index = y * this.width + x;
+    return this.solid[index] === 0 && this.blockers[index] === 0;
+  }
+
+  setSolid(x, y, solid) {
+    if (!this.inBounds(x, y)) return;
     
-    // Update status effects
-    this.statusEffects = this.statusEffects.filter(effect => {
-      effect.duration -= delta;
-      return effect.duration > 0;
-    });
+    this.solid[y * this.width + x] = solid ? 1 : 0;
+    this.notify([y * this.width + x]);
   }
-}
 
-// ============================================================================
-// INVENTORY SYSTEM
-// ============================================================================
+  worldToCell(x, y) {
+    return { x: Math.floor(x / this.cellSize), y: Math.floor(y / this.cellSize) };
+  }
 
-class Inventory {
-  constructor(maxSlots = 20) {
-    this.maxSlots = maxSlots;
-    this.items = [];
+  /**
+   * World position of a cell's centre
+   */
+  cellToWorld(x, y) {
+    return { x: (x + 0.5) * this.cellSize, y: (y + 0.5) * this.cellSize };
   }
 
-  addItem(item, quantity = 1) {
-    // Try to stack with existing item
-    const existingItem = this.items.find(i => i.id === item.id && i.stackable);
+  getCellsInRect(rect) {
+    const cells = [];
+    const start = this.worldToCell(rect.x, rect.y);
+    const end = this.worldToCell(rect.x + Math.max(rect.width, 1) - 1, rect.y + Math.max(rect.height, 1) - 1);
     
-    if (existingItem) {
-      existingItem.quantity += quantity;
-      return true;
+    for (let y = Math.max(0, start.y); y <= Math.min(this.height - 1, end.y); y++) {
+      for (let x = Math.max(0, start.x); x <= Math.min(this.width - 1, end.x); x++) {
+        cells.push(y * this.width + x);
+      }
     }
     
-    // Add as new item
-    if (this.items.length < this.maxSlots) {
-      this.items.push({ ...item, quantity });
-      return true;
-    }
+    return cells;
+  }
+
+  /**
+   * Block the cells under a world rect until removeObstacle(id); re-adding an
+   * id moves the obstacle
+   */
+  addObstacle(id, rect) {
+    const previous = this.obstacles.get(id) || [];
+    previous.forEach(index => this.blockers[index]--);
     
-    return false;
+    const cells = this.getCellsInRect(rect);
+    cells.forEach(index => this.blockers[index]++);
+    this.obstacles.set(id, cells);
+    
+    this.notify([...previous, ...cells]);
   }
 
-  removeItem(itemId, quantity = 1) {
-    const item = this.items.find(i => i.id === itemId);
+  removeObstacle(id) {
+    const cells = this.obstacles.get(id);
+    if (!cells) return false;
     
-    if (item) {
-      item.quantity -= quantity;
+    cells.forEach(index => this.blockers[index]--);
+    this.obstacles.delete(id);
+    this.notify(cells);
+    return true;
+  }
+
+  /**
+   * The closest walkable cell within maxRadius cells (by rings), or null
+   */
+  findNearestWalkable(x, y, maxRadius = 3) {
+    if (this.isWalkable(x, y)) return { x, y };
+    
+    for (let radius = 1; radius <= maxRadius; radius++) {
+      let best = null;
+      let bestDistance = Infinity;
       
-      if (item.quantity <= 0) {
-        this.items = this.items.filter(i => i.id !== itemId);
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+          if (!this.isWalkable(x + dx, y + dy)) continue;
+          
+          const distance = dx * dx + dy * dy;
+          if (distance < bestDistance) {
+            best = { x: x + dx, y: y + dy };
+            bestDistance = distance;
+          }
+        }
       }
       
-      return true;
+      if (best) return best;
     }
     
-    return false;
+    return null;
   }
 
-  getItem(itemId) {
-    return this.items.find(i => i.id === itemId);
+  /**
+   * Whether a body `clearance` cells wide either side can travel in a straight
+   * line between two cell centres
+   */
+  hasLineOfSight(from, to, clearance = 0.3) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const steps = Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) * 4);
+    
+    for (let i = 0; i <= steps; i++) {
+      const t = steps === 0 ? 0 : i / steps;
+      const px = from.x + 0.5 + dx * t;
+      const py = from.y + 0.5 + dy * t;
+      
+      if (!this.isWalkable(Math.floor(px - clearance), Math.floor(py - clearance)) ||
+          !this.isWalkable(Math.floor(px + clearance), Math.floor(py - clearance)) ||
+          !this.isWalkable(Math.floor(px - clearance), Math.floor(py + clearance)) ||
+          !this.isWalkable(Math.floor(px + clearance), Math.floor(py + clearance))) {
+        return false;
+      }
+    }
+    
+    return true;
   }
 
-  getItemsByType(type) {
-    return this.items.filter(i => i.type === type);
+  /**
+   * Walkability as one byte per cell (1 = walkable), for handing to a worker
+   */
+  toArray() {
+    const walkable = new Uint8Array(this.width * this.height);
+    for (let i = 0; i < walkable.length; i++) {
+      walkable[i] = this.solid[i] === 0 && this.blockers[i] === 0 ? 1 : 0;
+    }
+    return walkable;
   }
 
-  isFull() {
-    return this.items.length >= this.maxSlots;
+  /**
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
   }
 
-  getSize() {
-    return this.items.length;
+  notify(cells) {
+    this.version++;
+    const changed = new Set(cells);
+    this.listeners.forEach(listener => listener(changed, this));
   }
+}
 
-  clear() {
-    this.items = [];
+/**
+ * One A* search that can be advanced a few nodes at a time with step().
+ * 'octile' searches eight directions without cutting corners; 'manhattan'
+ * searches four. It only needs { width, height, isWalkable(x, y) } and uses
+ * nothing else from this file, so its source also runs inside the worker.
+ */
+class PathSearch {
+  constructor(grid, start, goal, options = {}) {
+    this.grid = grid;
+    this.start = start;
+    this.goal = goal;
+    this.heuristic = options.heuristic || 'octile';
+    this.directions = this.heuristic === 'manhattan' ? 
+      [[1, 0], [-1, 0], [0, 1], [0, -1]] : 
+      [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+    
+    const size = grid.width * grid.height;
+    this.maxIterations = options.maxIterations || size;
+    this.iterations = 0;
+    this.gScore = new Float64Array(size).fill(Infinity);
+    this.cameFrom = new Int32Array(size).fill(-1);
+    this.closed = new Uint8Array(size);
+    
+    // Binary min-heap of cell indices keyed by f score
+    this.heap = [];
+    this.priorities = [];
+    
+    this.startIndex = start.y * grid.width + start.x;
+    this.goalIndex = goal.y * grid.width + goal.x;
+    this.status = grid.isWalkable(goal.x, goal.y) ? 'running' : 'failed';
+    
+    this.gScore[this.startIndex] = 0;
+    this.push(this.startIndex, this.estimate(start.x, start.y));
   }
-}
 
-// ============================================================================
-// COMBAT SYSTEM
-// ============================================================================
+  static estimate(heuristic, dx, dy) {
+    if (heuristic === 'manhattan') return dx + dy;
+    return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+  }
 
-class CombatSystem {
-  static calculateDamage(attacker, defender, baseMultiplier = 1) {
-    const attackPower = attacker.calculateTotalAttack() * baseMultiplier;
-    const defenseReduction = defender.calculateTotalDefense() * 0.5;
-    const variance = Math.random() * 0.2 - 0.1; // ±10% variance
+  estimate(x, y) {
+    return PathSearch.estimate(this.heuristic, Math.abs(x - this.goal.x), Math.abs(y - this.goal.y));
+  }
+
+  /**
+   * Expand up to `budget` nodes
+   * @returns {string} 'running', 'found' or 'failed'
+   */
+  step(budget = Infinity) {
+    const grid = this.grid;
+    const width = grid.width;
+    let expanded = 0;
     
-    let damage = Math.max(1, (attackPower - defenseReduction) * (1 + variance));
+    while (this.status === 'running' && expanded < budget) {
+      if (this.heap.length === 0 || this.iterations >= this.maxIterations) {
+        this.status = 'failed';
+        break;
+      }
+      
+      const index = this.pop();
+      if (this.closed[index]) continue;
+      
+      this.closed[index] = 1;
+      this.iterations++;
+      expanded++;
+      
+      if (index === this.goalIndex) {
+        this.status = 'found';
+        break;
+      }
+      
+      const x = index % width;
+      const y = (index - x) / width;
+      
+      for (const [dx, dy] of this.directions) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (!grid.isWalkable(nx, ny)) continue;
+        
+        const diagonal = dx !== 0 && dy !== 0;
+        if (diagonal && (!grid.isWalkable(x + dx, y) || !grid.isWalkable(x, y + dy))) continue;
+        
+        const neighbor = ny * width + nx;
+        const g = this.gScore[index] + (diagonal ? Math.SQRT2 : 1);
+        
+        if (g < this.gScore[neighbor]) {
+          this.gScore[neighbor] = g;
+          this.cameFrom[neighbor] = index;
+          this.push(neighbor, g + this.estimate(nx, ny));
+        }
+      }
+    }
     
-    return Math.round(damage);
+    return this.status;
   }
 
-  static performAttack(attacker, defender) {
-    const hitChance = Math.min(0.95, 0.5 + (attacker.stats.dexterity - defender.stats.dexterity) * 0.01);
+  /**
+   * Cells from start to goal inclusive; empty unless the goal was found
+   */
+  getCells() {
+    if (this.status !== 'found') return [];
     
-    if (Math.random() > hitChance) {
-      return {
-        hit: false,
-        damage: 0,
-        critical: false
-      };
+    const width = this.grid.width;
+    const cells = [];
+    
+    for (let index = this.goalIndex; index !== -1; index = this.cameFrom[index]) {
+      cells.push({ x: index % width, y: Math.floor(index / width) });
+      if (index === this.startIndex) break;
     }
     
-    const isCritical = Math.random() < (attacker.stats.dexterity / 100);
-    const multiplier = isCritical ? 1.5 : 1;
-    const damage = this.calculateDamage(attacker, defender, multiplier);
+    return cells.reverse();
+  }
+
+  push(index, priority) {
+    const heap = this.heap;
+    const priorities = this.priorities;
+    let i = heap.length;
+    heap.push(index);
+    priorities.push(priority);
     
-    defender.takeDamage(damage);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (priorities[parent] <= priority) break;
+      heap[i] = heap[parent];
+      priorities[i] = priorities[parent];
+      i = parent;
+    }
     
-    return {
-      hit: true,
-      damage: damage,
-      critical: isCritical
-    };
+    heap[i] = index;
+    priorities[i] = priority;
   }
 
-  static calculateExperienceReward(defeatedCharacter, level = 1) {
-    const baseExp = 50;
-    const levelBonus = baseExp * (defeatedCharacter.level - 1) * 1.5;
-    return Math.round((baseExp + levelBonus) * (1 + level * 0.1));
+  pop() {
+    const heap = this.heap;
+    const priorities = this.priorities;
+    const top = heap[0];
+    const lastIndex = heap.pop();
+    const lastPriority = priorities.pop();
+    
+    if (heap.length > 0) {
+      let i = 0;
+      
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = -1;
+        let smallestPriority = lastPriority;
+        
+        if (left < heap.length && priorities[left] < smallestPriority) {
+          smallest = left;
+          smallestPriority = priorities[left];
+        }
+        if (right < heap.length && priorities[right] < smallestPriority) {
+          smallest = right;
+        }
+        if (smallest === -1) break;
+        
+        heap[i] = heap[smallest];
+        priorities[i] = priorities[smallest];
+        i = smallest;
+      }
+      
+      heap[i] = lastIndex;
+      priorities[i] = lastPriority;
+    }
+    
+    return top;
   }
 }
 
-// ============================================================================
-// EVENT SYSTEM
-// ============================================================================
+/**
+ * Finds paths on a NavGrid. findPath() searches immediately; requestPath()
+ * queues the search and update() advances queued searches by at most
+ * `iterationsPerFrame` nodes in total, so long searches spread over frames.
+ * With `worker: true`, grids of `workerThreshold` cells or more search in a
+ * Web Worker instead. Results are cached by start and goal cell and dropped
+ * when an obstacle lands on them.
+ *
+ * Results look like { success, path: [{x, y}], cells, reason }, where path is
+ * world positions after the start (cell centres, ending on the exact goal)
+ * and is smoothed by line of sight unless `smooth` is false.
+ *
+ * Queued results are handed to requestPath()'s `onResult` callback from
+ * inside update(), so a fixed-step loop sees them on the same frame; the
+ * returned Promise is only a convenience for async callers.
+ */
+class Pathfinder {
+  constructor(grid, config = {}) {
+    this.grid = grid;
+    this.heuristic = config.heuristic || 'octile';
+    this.smooth = config.smooth !== false;
+    this.clearance = config.clearance !== undefined ? config.clearance : 0.3;
+    this.snapRadius = config.snapRadius !== undefined ? config.snapRadius : 3;
+    this.iterationsPerFrame = config.iterationsPerFrame || 2000;
+    
+    this.queue = [];
+    this.cache = new Map();
+    this.cacheSize = config.cacheSize || 64;
+    
+    this.useWorker = !!config.worker && typeof Worker !== 'undefined' && 
+      grid.width * grid.height >= (config.workerThreshold || 128 * 128);
+    this.worker = null;
+    this.workerRequests = new Map();
+    this.nextRequestId = 1;
+    
+    this.unsubscribe = grid.onChange(cells => this.invalidate(cells));
+  }
 
-class EventBus {
-  constructor() {
-    this.events = {};
+  /**
+   * Script for the search worker, built from PathSearch's own source
+   */
+  static getWorkerSource() {
+    return `${PathSearch.toString()}
+onmessage = event => {
+  const { id, width, height, walkable, start, goal, options } = event.data;
+  const grid = {
+    width,
+    height,
+    isWalkable: (x, y) => x >= 0 && y >= 0 && x < width && y < height && walkable[y * width + x] === 1
+  };
+  const search = new PathSearch(grid, start, goal, options);
+  search.step();
+  postMessage({ id, status: search.status, cells: search.getCells() });
+};`;
+  }
+
+  /**
+   * Search now and return the result
+   */
+  findPath(start, goal, options = {}) {
+    const request = this.prepare(start, goal, options);
+    if (request.result) return request.result;
+    
+    request.search.step();
+    return this.complete(request, request.search.status, request.search.getCells());
   }
 
-  on(eventName, callback) {
-    if (!this.events[eventName]) {
-      this.events[eventName] = [];
+  /**
+   * Queue a search. `onResult` is called with the result as soon as it is
+   * known: right away for cached or blocked endpoints, else from update()
+   * (or the worker). A request with `options.owner` replaces any queued
+   * request from the same owner.
+   * @returns {Promise<Object>} Resolves with the same result
+   */
+  requestPath(start, goal, options = {}, onResult = null) {
+    if (options.owner) {
+      this.cancel(options.owner);
     }
     
-    this.events[eventName].push(callback);
+    const request = this.prepare(start, goal, options);
+    request.owner = options.owner || null;
+    request.onResult = onResult;
     
-    // Return unsubscribe function
-    return () => {
-      this.off(eventName, callback);
-    };
+    if (request.result) {
+      if (onResult) onResult(request.result);
+      return Promise.resolve(request.result);
+    }
+    
+    const promise = new Promise(resolve => {
+      request.resolve = resolve;
+    });
+    
+    if (!(this.useWorker && this.postToWorker(request))) {
+      this.queue.push(request);
+    }
+    
+    return promise;
   }
 
-  once(eventName, callback) {
-    const wrappedCallback = (data) => {
-      callback(data);
-      this.off(eventName, wrappedCallback);
-    };
+  /**
+   * Drop queued and in-flight requests from an owner; their Promises resolve
+   * as cancelled and their callbacks are not called
+   */
+  cancel(owner) {
+    const cancelled = { success: false, path: [], cells: [], reason: 'cancelled' };
+    
+    this.queue = this.queue.filter(request => {
+      if (request.owner !== owner) return true;
+      request.resolve(cancelled);
+      return false;
+    });
     
-    this.on(eventName, wrappedCallback);
+    this.workerRequests.forEach((request, id) => {
+      if (request.owner !== owner) return;
+      this.workerRequests.delete(id);
+      request.resolve(cancelled);
+    });
   }
 
-  off(eventName, callback) {
-    if (this.events[eventName]) {
-      this.events[eventName] = this.events[eventName].filter(cb => cb !== callback);
+  finish(request, result) {
+    if (request.onResult) request.onResult(result);
+    request.resolve(result);
+  }
+
+  /**
+   * Advance queued searches; call once per frame
+   */
+  update() {
+    let budget = this.iterationsPerFrame;
+    
+    while (this.queue.length > 0 && budget > 0) {
+      const request = this.queue[0];
+      const before = request.search.iterations;
+      const status = request.search.step(budget);
+      budget -= Math.max(1, request.search.iterations - before);
+      
+      if (status !== 'running') {
+        this.queue.shift();
+        this.finish(request, this.complete(request, status, request.search.getCells()));
+      }
     }
   }
 
-  emit(eventName, data = {}) {
-    if (this.events[eventName]) {
-      this.events[eventName].forEach(callback => {
-        try {
-          callback(data);
-        } catch (error) {
-          console.error(`Error in event listener for '${eventName}':`, error);
-        }
-      });
+  /**
+   * Resolve cells, snap blocked endpoints to nearby open cells and answer
+   * from the cache when possible
+   */
+  prepare(start, goal, options) {
+    const grid = this.grid;
+    const heuristic = options.heuristic || this.heuristic;
+    const smooth = options.smooth !== undefined ? options.smooth : this.smooth;
+    const from = grid.worldToCell(start.x, start.y);
+    const to = grid.worldToCell(goal.x, goal.y);
+    const startCell = grid.findNearestWalkable(from.x, from.y, this.snapRadius);
+    const goalCell = grid.findNearestWalkable(to.x, to.y, this.snapRadius);
+    const request = { start, goal, startCell, goalCell, heuristic, smooth, search: null, result: null };
+    
+    if (!startCell || !goalCell) {
+      request.result = { success: false, path: [], cells: [], reason: startCell ? 'goal blocked' : 'start blocked' };
+      return request;
     }
+    
+    request.key = `${startCell.x},${startCell.y}>${goalCell.x},${goalCell.y}:${heuristic}:${smooth}`;
+    const cached = this.cache.get(request.key);
+    if (cached) {
+      request.result = this.toResult(cached, request);
+      return request;
+    }
+    
+    request.search = new PathSearch(grid, startCell, goalCell, { heuristic });
+    return request;
   }
 
-  clear(eventName) {
-    if (eventName) {
-      delete this.events[eventName];
-    } else {
-      this.events = {};
+  complete(request, status, cells) {
+    const entry = status === 'found' ? 
+      { success: true, cells, waypoints: request.smooth ? this.smoothCells(cells) : cells } : 
+      { success: false, cells: [], waypoints: [] };
+    
+    this.cache.set(request.key, entry);
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
     }
+    
+    return this.toResult(entry, request);
   }
-}
 
-// ============================================================================
-// INPUT MANAGER
-// ============================================================================
+  toResult(entry, request) {
+    if (!entry.success) {
+      return { success: false, path: [], cells: [], reason: 'unreachable' };
+    }
+    
+    const path = entry.waypoints.slice(1).map(cell => this.grid.cellToWorld(cell.x, cell.y));
+    
+    // End on the exact goal when it is walkable, not its cell centre
+    const goalCell = this.grid.worldToCell(request.goal.x, request.goal.y);
+    if (goalCell.x === request.goalCell.x && goalCell.y === request.goalCell.y) {
+      if (path.length > 0) {
+        path[path.length - 1] = { x: request.goal.x, y: request.goal.y };
+      } else {
+        path.push({ x: request.goal.x, y: request.goal.y });
+      }
+    }
+    
+    return { success: true, path, cells: entry.cells };
+  }
 
-class InputManager {
-  constructor() {
-    this.keys = {};
-    this.mousePosition = { x: 0, y: 0 };
-    this.mouseDown = false;
-    this.touches = [];
+  /**
+   * Drop waypoints that can be skipped in a straight line (string pulling)
+   */
+  smoothCells(cells) {
+    if (cells.length <= 2) return cells;
+    
+    const result = [cells[0]];
+    let anchor = 0;
+    
+    for (let i = 2; i < cells.length; i++) {
+      if (!this.grid.hasLineOfSight(cells[anchor], cells[i], this.clearance)) {
+        anchor = i - 1;
+        result.push(cells[anchor]);
+      }
+    }
+    
+    result.push(cells[cells.length - 1]);
+    return result;
+  }
+
+  /**
+   * Forget cached paths through changed cells (and all failures, which an
+   * opened door may have fixed); restart queued searches on the new grid
+   */
+  invalidate(changed) {
+    const width = this.grid.width;
+    
+    this.cache.forEach((entry, key) => {
+      if (!entry.success || entry.cells.some(cell => changed.has(cell.y * width + cell.x))) {
+        this.cache.delete(key);
+      }
+    });
+    
+    this.queue.forEach(request => {
+      request.search = new PathSearch(this.grid, request.startCell, request.goalCell, { heuristic: request.heuristic });
+    });
   }
 
-  init() {
-    document.addEventListener('keydown', (e) => this.onKeyDown(e));
-    document.addEventListener('keyup', (e) => this.onKeyUp(e));
-    document.addEventListener('mousemove', (e) => this.onMouseMove(e));
-    document.addEventListener('mousedown', (e) => this.onMouseDown(e));
-    document.addEventListener('mouseup', (e) => this.onMouseUp(e));
+  postToWorker(request) {
+    try {
+      if (!this.worker) {
+        const url = URL.createObjectURL(new Blob([Pathfinder.getWorkerSource()], { type: 'text/javascript' }));
+        this.worker = new Worker(url);
+        this.worker.onmessage = event => this.onWorkerMessage(event.data);
+      }
+    } catch (error) {
+      console.warn('Could not start pathfinding worker; searching on the main thread', error);
+      this.useWorker = false;
+      return false;
+    }
     
-    // Touch support for mobile
-    document.addEventListener('touchstart', (e) => this.onTouchStart(e));
-    document.addEventListener('touchmove', (e) => this.onTouchMove(e));
-    document.addEventListener('touchend', (e) => this.onTouchEnd(e));
+    const id = this.nextRequestId++;
+    request.version = this.grid.version;
+    this.workerRequests.set(id, request);
+    this.worker.postMessage({
+      id,
+      width: this.grid.width,
+      height: this.grid.height,
+      walkable: this.grid.toArray(),
+      start: request.startCell,
+      goal: request.goalCell,
+      options: { heuristic: request.heuristic }
+    });
+    
+    return true;
   }
 
-  update() {
-    // Update input state each frame
+  onWorkerMessage({ id, status, cells }) {
+    const request = this.workerRequests.get(id);
+    if (!request) return;
+    this.workerRequests.delete(id);
+    
+    // The grid changed while the worker searched; search again
+    if (request.version !== this.grid.version) {
+      this.postToWorker(request);
+      return;
+    }
+    
+    this.finish(request, this.complete(request, status, cells));
   }
 
-  onKeyDown(event) {
-    this.keys[event.key] = true;
+  destroy() {
+    this.unsubscribe();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.queue = [];
+    this.cache.clear();
   }
+}
 
-  onKeyUp(event) {
-    this.keys[event.key] = false;
+/**
+ * Step an Entity (through Entity.moveBy, so it stops at solid tiles) or a plain
+ * object with vx/vy toward a point at `speed` units per second
+ * @returns {boolean} Whether it was already within arriveDistance
+ */
+const steerToward = (entity, x, y, speed, delta, arriveDistance) => {
+  const dx = x - (entity.x + (entity.width || 0) / 2);
+  const dy = y - (entity.y + (entity.height || 0) / 2);
+  const distance = Math.hypot(dx, dy);
+  
+  if (distance <= arriveDistance) {
+    return true;
   }
-
-  onMouseMove(event) {
-    this.mousePosition = { x: event.clientX, y: event.clientY };
+  
+  if (entity instanceof Entity) {
+    const step = Math.min(distance, speed * delta);
+    entity.moveBy(dx / distance * step, dy / distance * step);
+  } else {
+    entity.vx = dx / distance * speed;
+    entity.vy = dy / distance * speed;
   }
+  
+  return false;
+};
 
-  onMouseDown(event) {
-    this.mouseDown = true;
+/**
+ * Move-along-path component, shared by NPCs, enemy AI and tap-to-move. Add it
+ * as 'pathFollower' and call moveTo(x, y); it asks the pathfinder (its own,
+ * else its scene's) for a route and walks the waypoints, emitting
+ * 'path:arrived' or 'path:failed'. Without a pathfinder it walks straight.
+ * It repaths when an obstacle lands on the rest of its route or it stops
+ * making progress. With `drive: false` it only points `direction` along the
+ * path for something else (e.g. a virtual stick) to act on.
+ */
+class PathFollower {
+  constructor(config = {}) {
+    this.entity = null;
+    this.enabled = true;
+    this.pathfinder = config.pathfinder || null;
+    this.speed = config.speed || null;
+    this.arriveDistance = config.arriveDistance || 4;
+    this.drive = config.drive !== false;
+    this.stuckTime = config.stuckTime || 0.75;
+    // Seconds before follow() tries a failed route again
+    this.retryDelay = config.retryDelay !== undefined ? config.retryDelay : 1;
+    this.retryTimer = 0;
+    
+    this.destination = null;
+    this.path = [];
+    this.index = 0;
+    this.status = 'idle';
+    this.direction = { x: 0, y: 0 };
+    
+    this.requestId = 0;
+    this.stalled = 0;
+    this.lastPosition = null;
+    this.unsubscribe = null;
+    this.watchedGrid = null;
   }
 
-  onMouseUp(event) {
-    this.mouseDown = false;
+  getPathfinder() {
+    if (this.pathfinder) return this.pathfinder;
+    
+    const entity = this.entity;
+    const scene = entity && (entity.scene || (entity.engine ? entity.engine.currentScene : null));
+    return scene ? scene.pathfinder : null;
   }
 
-  onTouchStart(event) {
-    this.touches = Array.from(event.touches);
+  setPathfinder(pathfinder) {
+    this.pathfinder = pathfinder;
+    if (this.destination) {
+      this.repath();
+    }
   }
 
-  onTouchMove(event) {
-    this.touches = Array.from(event.touches);
+  getSpeed() {
+    if (this.speed) return this.speed;
+    if (typeof this.entity.getMovementSpeed === 'function') return this.entity.getMovementSpeed();
+    return this.entity.speed || 60;
   }
 
-  onTouchEnd(event) {
-    this.touches = Array.from(event.touches);
+  /**
+   * Head for a world point
+   * @returns {Promise<Object>} The path result
+   */
+  moveTo(x, y) {
+    this.destination = { x, y };
+    return this.repath();
   }
 
-  isKeyPressed(key) {
-    return this.keys[key] || false;
+  /**
+   * moveTo() for callers that re-issue their goal every frame (AI): only
+   * repaths when the goal moves to another cell, or retryDelay after a
+   * failed route
+   * @returns {boolean} Whether the entity has arrived
+   */
+  follow(x, y, speed = null) {
+    this.speed = speed || this.speed;
+    const pathfinder = this.getPathfinder();
+    const cellSize = pathfinder ? pathfinder.grid.cellSize : this.arriveDistance;
+    
+    const center = this.getCenter();
+    const strayed = this.status === 'arrived' && Math.hypot(x - center.x, y - center.y) > this.arriveDistance;
+    const retry = this.status === 'failed' && this.retryTimer <= 0;
+    
+    if (!this.destination || this.status === 'idle' || strayed || retry || 
+        Math.floor(x / cellSize) !== Math.floor(this.destination.x / cellSize) || 
+        Math.floor(y / cellSize) !== Math.floor(this.destination.y / cellSize)) {
+      this.moveTo(x, y);
+    } else {
+      this.destination = { x, y };
+      if (this.path.length > 0 && this.status !== 'pending') {
+        this.path[this.path.length - 1] = { x, y };
+      }
+    }
+    
+    return this.status === 'arrived';
   }
 
-  getMousePosition() {
-    return { ...this.mousePosition };
+  /**
+   * Ask for a route to the destination; the result is applied as soon as the
+   * pathfinder has it (within its update() when queued)
+   * @returns {Promise<Object>} The path result
+   */
+  repath() {
+    const pathfinder = this.getPathfinder();
+    const requestId = ++this.requestId;
+    const destination = this.destination;
+    
+    this.watchGrid(pathfinder);
+    this.stalled = 0;
+    
+    if (!pathfinder) {
+      return Promise.resolve(this.setPath(requestId, { success: true, path: [destination], cells: [] }));
+    }
+    
+    this.status = 'pending';
+    return pathfinder.requestPath(this.getCenter(), destination, { owner: this }, 
+      result => this.setPath(requestId, result));
   }
 
-  isMouseDown() {
-    return this.mouseDown;
+  setPath(requestId, result) {
+    // A newer request superseded this one
+    if (requestId !== this.requestId) return result;
+    
+    if (!result.success) {
+      this.status = 'failed';
+      this.retryTimer = this.retryDelay;
+      this.path = [];
+      this.emit('path:failed', { reason: result.reason });
+      return result;
+    }
+    
+    this.path = result.path;
+    this.index = 0;
+    this.status = 'moving';
+    return result;
   }
 
-  getTouches() {
-    return [...this.touches];
+  stop() {
+    const pathfinder = this.getPathfinder();
+    if (pathfinder) {
+      pathfinder.cancel(this);
+    }
+    
+    this.requestId++;
+    this.destination = null;
+    this.path = [];
+    this.status = 'idle';
+    this.direction = { x: 0, y: 0 };
+    
+    if (this.entity && !(this.entity instanceof Entity) && 'vx' in this.entity) {
+      this.entity.vx = 0;
+      this.entity.vy = 0;
+    }
   }
-}
 
-// ============================================================================
-// AUDIO MANAGER
-// ============================================================================
+  isMoving() {
+    return this.status === 'moving' || this.status === 'pending';
+  }
 
-class AudioManager {
-  constructor() {
-    this.sounds = new Map();
-    this.volume = 1;
-    this.musicVolume = 0.7;
+  getCenter() {
+    const entity = this.entity;
+    return { x: entity.x + (entity.width || 0) / 2, y: entity.y + (entity.height || 0) / 2 };
   }
 
-  init() {
-    // Initialize audio context if needed
+  update(delta) {
+    if (this.status !== 'moving') {
+      this.direction = { x: 0, y: 0 };
+      this.retryTimer -= delta;
+      return;
+    }
+    
+    const center = this.getCenter();
+    let waypoint = this.path[this.index];
+    
+    // Skip waypoints already reached
+    while (waypoint && Math.hypot(waypoint.x - center.x, waypoint.y - center.y) <= this.arriveDistance) {
+      this.index++;
+      waypoint = this.path[this.index];
+    }
+    
+    if (!waypoint) {
+      this.status = 'arrived';
+      this.direction = { x: 0, y: 0 };
+      if (this.drive && !(this.entity instanceof Entity) && 'vx' in this.entity) {
+        this.entity.vx = 0;
+        this.entity.vy = 0;
+      }
+      this.emit('path:arrived', { destination: this.destination });
+      return;
+    }
+    
+    const distance = Math.hypot(waypoint.x - center.x, waypoint.y - center.y);
+    this.direction = { x: (waypoint.x - center.x) / distance, y: (waypoint.y - center.y) / distance };
+    
+    if (this.drive) {
+      steerToward(this.entity, waypoint.x, waypoint.y, this.getSpeed(), delta, this.arriveDistance);
+    }
+    this.checkProgress(center, delta);
   }
 
-  loadSound(name, url) {
-    const audio = new Audio(url);
-    this.sounds.set(name, audio);
-    return audio;
+  /**
+   * Repath after standing still for stuckTime seconds (pushed into a wall,
+   * blocked by something the grid doesn't know about)
+   */
+  checkProgress(center, delta) {
+    const last = this.lastPosition;
+    this.lastPosition = center;
+    if (!last) return;
+    
+    const progress = Math.hypot(center.x - last.x, center.y - last.y);
+    this.stalled = progress < this.getSpeed() * delta * 0.1 ? this.stalled + delta : 0;
+    
+    if (this.stalled >= this.stuckTime) {
+      this.repath();
+    }
   }
 
-  playSound(name, loop = false) {
-    if (this.sounds.has(name)) {
-      const audio = this.sounds.get(name);
-      audio.loop = loop;
-      audio.volume = this.volume;
-      audio.play().catch(err => console.warn(`Could not play sound: ${name}`, err));
+  watchGrid(pathfinder) {
+    const grid = pathfinder ? pathfinder.grid : null;
+    if (grid === this.watchedGrid) return;
+    
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    
+    this.watchedGrid = grid;
+    if (grid) {
+      this.unsubscribe = grid.onChange(changed => this.onGridChange(changed, grid));
     }
   }
 
-  stopSound(name) {
-    if (this.sounds.has(name)) {
-      const audio = this.sounds.get(name);
-      audio.pause();
-      audio.currentTime = 0;
+  /**
+   * Repath when a changed cell lies near the rest of the route (within the
+   * bounding box of a remaining leg)
+   */
+  onGridChange(changed, grid) {
+    if (!this.isMoving()) return;
+    if (this.status === 'pending') {
+      this.repath();
+      return;
+    }
+    
+    let from = this.getCenter();
+    for (let i = this.index; i < this.path.length; i++) {
+      const to = this.path[i];
+      const cells = grid.getCellsInRect({
+        x: Math.min(from.x, to.x),
+        y: Math.min(from.y, to.y),
+        width: Math.abs(to.x - from.x) + 1,
+        height: Math.abs(to.y - from.y) + 1
+      });
+      
+      if (cells.some(index => changed.has(index))) {
+        this.repath();
+        return;
+      }
+      from = to;
     }
   }
 
-  setVolume(volume) {
-    this.volume = Math.max(0, Math.min(1, volume));
-    this.sounds.forEach(audio => {
-      audio.volume = this.volume;
-    });
+  emit(eventName, data) {
+    if (this.entity && this.entity.engine) {
+      this.entity.engine.eventBus.emit(eventName, { entity: this.entity, ...data });
+    }
   }
 
-  setMusicVolume(volume) {
-    this.musicVolume = Math.max(0, Math.min(1, volume));
+  destroy() {
+    this.stop();
+    this.watchGrid(null);
   }
 }
 
 // ============================================================================
-// DATA MANAGER
+// SCENE TRANSITIONS
 // ============================================================================
 
-class DataManager {
-  constructor() {
-    this.data = {};
-    this.saveSlots = new Map();
-  }
-
-  init() {
-    // Load saved data from localStorage if available
-    this.loadFromStorage();
+/**
+ * Screen cover drawn while the engine changes scenes: cover() animates it in,
+ * reveal() back out, each over `duration` seconds. Types are registered draw
+ * functions; 'fade' and 'wipe' are built in.
+ */
+class SceneTransition {
+  constructor(config = {}) {
+    this.type = config.type || 'fade';
+    this.duration = config.duration !== undefined ? config.duration : 0.4;
+    this.color = config.color || '#000';
+    this.direction = config.direction || 'left';
+    
+    // 0 = scene fully visible, 1 = fully covered
+    this.coverage = 0;
+    this.target = 0;
+    this.onDone = null;
   }
 
-  set(key, value) {
-    this.data[key] = value;
+  static register(type, draw) {
+    SceneTransition.types.set(type, draw);
   }
 
-  get(key, defaultValue = null) {
-    return this.data[key] !== undefined ? this.data[key] : defaultValue;
+  cover() {
+    return this.animateTo(1);
   }
 
-  save(slotName) {
-    this.saveSlots.set(slotName, {
-      data: { ...this.data },
-      timestamp: Date.now()
-    });
+  reveal() {
+    return this.animateTo(0);
   }
 
-  load(slotName) {
-    if (this.saveSlots.has(slotName)) {
-      this.data = { ...this.saveSlots.get(slotName).data };
-      return true;
+  animateTo(target) {
+    this.target = target;
+    
+    if (this.duration <= 0) {
+      this.coverage = target;
+      return Promise.resolve();
     }
     
-    return false;
+    return new Promise(resolve => {
+      this.onDone = resolve;
+    });
   }
 
-  loadFromStorage() {
-    try {
-      const stored = localStorage.getItem('rpg-engine-data');
-      if (stored) {
-        this.data = JSON.parse(stored);
-      }
-    } catch (error) {
-      console.warn('Could not load data from storage:', error);
+  update(delta) {
+    if (this.coverage === this.target) return;
+    
+    const step = delta / this.duration;
+    this.coverage = this.target > this.coverage ? 
+      Math.min(this.target, this.coverage + step) : 
+      Math.max(this.target, this.coverage - step);
+    
+    if (this.coverage === this.target && this.onDone) {
+      const done = this.onDone;
+      this.onDone = null;
+      done();
     }
   }
 
-  saveToStorage() {
-    try {
-      localStorage.setItem('rpg-engine-data', JSON.stringify(this.data));
-    } catch (error) {
-      console.warn('Could not save data to storage:', error);
-    }
+  /**
+   * Draw over the whole canvas; width and height are in device pixels
+   */
+  render(ctx, width, height) {
+    const draw = SceneTransition.types.get(this.type);
+    if (!draw || this.coverage <= 0) return;
+    
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = this.color;
+    draw(ctx, this.coverage, width, height, this);
+    ctx.restore();
   }
+}
 
-  clear() {
-    this.data = {};
+SceneTransition.types = new Map();
+
+SceneTransition.register('fade', (ctx, coverage, width, height) => {
+  ctx.globalAlpha = coverage;
+  ctx.fillRect(0, 0, width, height);
+});
+
+// Sweeps in from the named edge, then retreats back to it
+SceneTransition.register('wipe', (ctx, coverage, width, height, transition) => {
+  switch (transition.direction) {
+    case 'right':
+      ctx.fillRect(width * (1 - coverage), 0, width * coverage, height);
+      break;
+    case 'bottom':
+      ctx.fillRect(0, height * (1 - coverage), width, height * coverage);
+      break;
+    case 'top':
+      ctx.fillRect(0, 0, width, height * coverage);
+      break;
+    default:
+      ctx.fillRect(0, 0, width * coverage, height);
   }
-}
+});
 
 // ============================================================================
 // SCENE BASE CLASS
@@ -867,21 +10103,124 @@ class Scene {
     this.engine = engine;
     this.entities = [];
     this.isLoaded = false;
+    this.isPaused = false;
+    this.dialogue = null;
+    
+    // Subscriptions made through listen() are dropped when the scene unloads
+    this.listeners = engine.eventBus.group();
+    
+    // When pushed over another scene: whether the scenes beneath keep
+    // updating (e.g. a HUD) and stay drawn underneath (e.g. a pause menu)
+    this.updateBelow = false;
+    this.renderBelow = false;
+    
+    // Each area is its own map file; subclasses set mapSource to a Tiled JSON url
+    this.map = null;
+    this.mapSource = null;
+    
+    // Asset manifest loaded with the scene and released when it unloads
+    this.assets = null;
+    this.assetsLoading = null;
+    
+    // Built from the map's collision when it loads
+    this.navGrid = null;
+    this.pathfinder = null;
+    
+    // Sound key of the area's music; null leaves the current track playing
+    this.music = null;
+    this.musicFadeTime = 1.5;
   }
 
-  load() {
+  /**
+   * Preload the scene's assets and map. Subclasses extend this and
+   * `await super.load()` before spawning anything that needs them.
+   */
+  async load() {
     this.isLoaded = true;
+    this.isPaused = false;
+    
+    if (this.assets) {
+      this.assetsLoading = this.engine.assetLoader.loadManifest(this.assets, { name: this.name });
+    }
+    
+    if (this.mapSource && !this.map) {
+      await this.loadMap(this.mapSource);
+    }
+    await this.assetsLoading;
+    
     console.log(`Scene '${this.name}' loaded`);
   }
 
+  /**
+   * Called when another scene is pushed on top of this one
+   */
+  pause() {
+    this.isPaused = true;
+  }
+
+  /**
+   * Called when the scene on top of this one is popped
+   */
+  resume() {
+    this.isPaused = false;
+  }
+
+  /**
+   * Load this scene's tilemap from a url, Tiled JSON data or a Tilemap
+   * @returns {Promise<Tilemap|null>}
+   */
+  async loadMap(source, options = {}) {
+    let map = source;
+    
+    if (typeof source === 'string') {
+      map = await Tilemap.load(source, options);
+    } else if (!(source instanceof Tilemap)) {
+      map = Tilemap.fromTiled(source, options);
+    }
+    
+    if (!map) return null;
+    
+    this.map = map;
+    this.createMapTriggers(map);
+    
+    if (this.pathfinder) {
+      this.pathfinder.destroy();
+    }
+    this.navGrid = NavGrid.fromTilemap(map);
+    this.pathfinder = new Pathfinder(this.navGrid, this.engine.config.navigation);
+    
+    if (this.engine.currentScene === this) {
+      this.engine.camera.setBounds(map.getBounds());
+    }
+    this.engine.eventBus.emit('scene:mapLoaded', { scene: this, map });
+    
+    return map;
+  }
+
   unload() {
     this.isLoaded = false;
-    this.entities.forEach(entity => entity.destroy());
+    this.endDialogue();
+    this.listeners.clear();
+    
+    if (this.assets) {
+      this.engine.assetLoader.releaseManifest(this.assets);
+      this.assetsLoading = null;
+    }
+    
+    this.entities.forEach(entity => {
+      entity.destroy();
+      entity.scene = null;
+      this.engine.removeEntity(entity.id);
+    });
     this.entities = [];
     console.log(`Scene '${this.name}' unloaded`);
   }
 
   update(delta) {
+    if (this.pathfinder) {
+      this.pathfinder.update();
+    }
+    
     this.entities.forEach(entity => {
       if (entity.active) {
         entity.update(delta);
@@ -897,17 +10236,97 @@ class Scene {
     });
   }
 
-  render() {
+  render(alpha) {
     // Override in subclasses
   }
 
+  /**
+   * Draw entity sprites back to front by their bottom edge, skipping any
+   * outside `view` (a world rectangle such as camera.getView()) when given
+   */
+  renderSprites(ctx, view = null) {
+    const inView = (bounds) => bounds.x + bounds.width >= view.x && bounds.x <= view.x + view.width &&
+      bounds.y + bounds.height >= view.y && bounds.y <= view.y + view.height;
+    
+    this.entities
+      .filter(entity => entity.visible && entity.getComponent('sprite'))
+      .filter(entity => !view || inView(entity.getBounds()))
+      .sort((a, b) => (a.y + a.height) - (b.y + b.height))
+      .forEach(entity => entity.getComponent('sprite').render(ctx));
+  }
+
+  /**
+   * Turn the map's 'trigger' objects into trigger volumes; an `area` property
+   * makes walking in report 'area:entered'
+   */
+  createMapTriggers(map) {
+    map.getObjectsByType('trigger').forEach(object => {
+      const trigger = new Entity(`${this.name}:trigger:${object.id}`, object.name, object.x, object.y);
+      
+      trigger.addComponent('collider', new Collider({
+        width: object.width,
+        height: object.height,
+        layer: 'trigger',
+        trigger: true,
+        isStatic: true,
+        area: object.properties.area || null
+      }));
+      trigger.addTag('trigger');
+      trigger.properties = object.properties;
+      
+      this.addEntity(trigger);
+    });
+  }
+
+  /**
+   * Start a conversation in this scene, replacing any running one
+   */
+  startDialogue(dialogueId, context = {}) {
+    this.endDialogue();
+    
+    const dialogue = new Dialogue(this.engine, dialogueId, context);
+    const unsubscribe = this.listen('dialogue:ended', (data) => {
+      if (data.dialogue === dialogue) {
+        unsubscribe();
+        this.dialogue = null;
+      }
+    });
+    
+    this.dialogue = dialogue;
+    if (!dialogue.start()) {
+      // Never started (unknown id) or ended at once; drop it either way
+      unsubscribe();
+      if (this.dialogue === dialogue) {
+        this.dialogue = null;
+      }
+    }
+    
+    return dialogue;
+  }
+
+  endDialogue() {
+    if (this.dialogue) {
+      this.dialogue.end();
+    }
+  }
+
+  getAsset(key) {
+    return this.engine.assetLoader.get(key);
+  }
+
+  listen(eventName, callback, options = {}) {
+    return this.listeners.on(eventName, callback, options);
+  }
+
   addEntity(entity) {
     this.entities.push(entity);
+    entity.scene = this;
     this.engine.addEntity(entity);
   }
 
   removeEntity(entity) {
     this.entities = this.entities.filter(e => e.id !== entity.id);
+    entity.scene = null;
     this.engine.removeEntity(entity.id);
   }
 }
@@ -920,13 +10339,49 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     RPGEngine,
     Entity,
+    StatBlock,
+    ExperienceCurve,
+    CharacterClass,
     Character,
+    EquipmentSet,
     Inventory,
+    ItemDatabase,
+    LootTable,
     CombatSystem,
+    Skill,
+    StatusEffect,
+    Battle,
+    QuestManager,
+    Dialogue,
+    RandomGenerator,
     EventBus,
+    ListenerGroup,
     InputManager,
+    TouchControls,
     AudioManager,
     DataManager,
+    MemoryStorage,
+    WebStorageBackend,
+    IndexedDBBackend,
+    SaveManager,
+    AssetLoader,
+    Tilemap,
+    Collider,
+    SpatialHash,
+    CollisionSystem,
+    Camera,
+    SpriteAtlas,
+    Sprite,
+    AnimationStateMachine,
+    Blackboard,
+    BehaviorNode,
+    BehaviorTree,
+    AIController,
+    NavGrid,
+    PathSearch,
+    Pathfinder,
+    PathFollower,
+    SceneTransition,
     Scene
   };
 }